@@ -0,0 +1,539 @@
+/**
+ * Module for admin controller.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import mongoose from 'mongoose'
+import { User } from '../models/user.js'
+import { Fridge } from '../models/fridge.js'
+import { Membership } from '../models/membership.js'
+import { AuditLog } from '../models/audit-log.js'
+import { CatalogItem, CatalogSources } from '../models/catalog-item.js'
+import { PermissionLevels } from '../middleware/auth.js'
+import { TokenService } from '../services/token.js'
+import { WebhookService } from '../services/webhook.js'
+import { ConsistencyService } from '../services/consistency.js'
+import { pagination, pageLinks } from '../utils/pagination.js'
+import { normalizeGtin } from '../utils/barcode.js'
+import { ErrorCodes, invalidRequest } from '../utils/errors.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class AdminController {
+  /**
+   * Sends a JSON response containing users, optionally searched by username, name or email.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findUsers (req, res, next) {
+    try {
+      const { page, limit, skip } = pagination(req.query)
+
+      const filter = {}
+      if (req.query.q) {
+        const search = new RegExp(`${req.query.q}`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+        filter.$or = [{ username: search }, { email: search }, { firstName: search }, { lastName: search }]
+      }
+      if (req.query.locked !== undefined) {
+        filter.lockedAt = { $exists: req.query.locked === 'true' }
+      }
+
+      const total = await User.countDocuments(filter)
+      const users = await User.find(filter)
+        .sort({ username: 1 })
+        .skip(skip)
+        .limit(limit)
+
+      res.json({
+        usersWithLinks: users.map(user => this.#toUserWithLinks(user)),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        links: [
+          ...pageLinks('/api/v1/admin/users', req.query, total),
+          { rel: 'GET audit log', href: '/api/v1/admin/audit' },
+          { rel: 'GET all fridges', href: '/api/v1/admin/fridges' }
+        ]
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing a certain user by id.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findUser (req, res, next) {
+    try {
+      const user = await this.#findUser(req)
+      if (!user) {
+        next(createError(404, 'User not existing', { code: ErrorCodes.USER_NOT_FOUND }))
+        return
+      }
+
+      await this.#audit(req, 'user.view', 'User', user._id)
+
+      const userWithLinks = this.#toUserWithLinks(user)
+      userWithLinks.fridges = await Membership.find({ userId: user._id }).select('fridgeId role -_id')
+
+      res.json(userWithLinks)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Locks a user account. A locked user can not log in, and all sessions are ended.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async lockUser (req, res, next) {
+    try {
+      const user = await this.#findUser(req)
+      if (!user) {
+        next(createError(404, 'User not existing', { code: ErrorCodes.USER_NOT_FOUND }))
+        return
+      }
+
+      if (user.id === req.user.id) {
+        next(createError(409, 'You can not lock your own account.', { code: ErrorCodes.CANNOT_CHANGE_OWN_ACCOUNT }))
+        return
+      }
+
+      if (!user.lockedAt) {
+        await User.updateOne({ _id: user._id }, { lockedAt: new Date() })
+        await new TokenService().revokeAll(user._id)
+        await this.#audit(req, 'user.lock', 'User', user._id, { reason: req.body.reason })
+      }
+
+      res.json(this.#toUserWithLinks(await User.findById(user._id)))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Unlocks a user account.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async unlockUser (req, res, next) {
+    try {
+      const user = await this.#findUser(req)
+      if (!user) {
+        next(createError(404, 'User not existing', { code: ErrorCodes.USER_NOT_FOUND }))
+        return
+      }
+
+      if (user.lockedAt) {
+        await User.updateOne({ _id: user._id }, { $unset: { lockedAt: '' } })
+        await this.#audit(req, 'user.unlock', 'User', user._id)
+      }
+
+      res.json(this.#toUserWithLinks(await User.findById(user._id)))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Changes the permission level of a user. The user's sessions are ended, so new tokens carry the new level.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async changePermissionLevel (req, res, next) {
+    try {
+      const permissionLevel = req.body.permissionLevel
+      const allFlags = Object.values(PermissionLevels).reduce((flags, flag) => flags | flag, 0)
+      if (permissionLevel & ~allFlags) {
+        next(invalidRequest([{ in: 'body', field: 'permissionLevel', message: `must be a combination of the flags ${Object.entries(PermissionLevels).map(([name, flag]) => `${name} (${flag})`).join(', ')}` }]))
+        return
+      }
+
+      const user = await this.#findUser(req)
+      if (!user) {
+        next(createError(404, 'User not existing', { code: ErrorCodes.USER_NOT_FOUND }))
+        return
+      }
+
+      if (user.id === req.user.id && !(permissionLevel & PermissionLevels.ADMIN)) {
+        next(createError(409, 'You can not remove your own admin permission.', { code: ErrorCodes.CANNOT_CHANGE_OWN_ACCOUNT }))
+        return
+      }
+
+      const previousPermissionLevel = user.permissionLevel
+      if (previousPermissionLevel !== permissionLevel) {
+        await User.updateOne({ _id: user._id }, { permissionLevel })
+        await new TokenService().revokeAll(user._id)
+        await this.#audit(req, 'user.permission_level', 'User', user._id, { previousPermissionLevel, permissionLevel })
+      }
+
+      res.json(this.#toUserWithLinks(await User.findById(user._id)))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing fridges of all users, optionally filtered by owner.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findFridges (req, res, next) {
+    try {
+      const { page, limit, skip } = pagination(req.query)
+
+      const filter = {}
+      if (req.query.ownerId) {
+        filter.ownerId = `${req.query.ownerId}`
+      }
+
+      const total = await Fridge.countDocuments(filter)
+      const fridges = await Fridge.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+
+      res.json({
+        fridgesWithLinks: fridges.map(fridge => {
+          const fridgeWithLinks = fridge.toJSON() // Convert Mongoose document to JSON object
+          fridgeWithLinks.links = [
+            { rel: 'GET this fridge', href: `/api/v1/admin/fridges/${fridge._id}` }
+          ]
+          return fridgeWithLinks
+        }),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        links: [
+          ...pageLinks('/api/v1/admin/fridges', req.query, total),
+          { rel: 'GET all users', href: '/api/v1/admin/users' }
+        ]
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing any fridge by id, with its products and members.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findFridge (req, res, next) {
+    try {
+      const fridge = mongoose.isValidObjectId(req.params.id)
+        ? await Fridge.findById(req.params.id).populate('products')
+        : null
+      if (!fridge) {
+        next(createError(404, 'Fridge not existing', { code: ErrorCodes.FRIDGE_NOT_FOUND }))
+        return
+      }
+
+      await this.#audit(req, 'fridge.view', 'Fridge', fridge._id)
+
+      const fridgeWithLinks = fridge.toJSON() // Convert Mongoose document to JSON object
+      fridgeWithLinks.members = await Membership.find({ fridgeId: fridge._id }).select('userId role -_id')
+      fridgeWithLinks.links = [
+        { rel: 'GET owner of this fridge', href: `/api/v1/admin/users/${fridge.ownerId}` },
+        { rel: 'GET all fridges', href: '/api/v1/admin/fridges' }
+      ]
+
+      res.json(fridgeWithLinks)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing the product catalog, optionally searched by name or filtered by source.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findCatalog (req, res, next) {
+    try {
+      const { page, limit, skip } = pagination(req.query)
+
+      const filter = {}
+      if (req.query.q) {
+        filter.$text = { $search: `${req.query.q}` }
+      }
+      if (req.query.source) {
+        filter.source = `${req.query.source}`
+      }
+
+      const total = await CatalogItem.countDocuments(filter)
+      const items = await CatalogItem.find(filter)
+        .sort({ barcode: 1 })
+        .skip(skip)
+        .limit(limit)
+
+      res.json({
+        itemsWithLinks: items.map(item => this.#toCatalogItemWithLinks(item)),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        links: [
+          ...pageLinks('/api/v1/admin/catalog', req.query, total),
+          { rel: 'GET learned catalog items', href: `/api/v1/admin/catalog?source=${CatalogSources.LEARNED}` }
+        ]
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing the catalog item of a barcode.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findCatalogItem (req, res, next) {
+    try {
+      const item = await CatalogItem.findOne({ barcode: normalizeGtin(req.params.barcode) })
+      if (!item) {
+        next(createError(404, 'Catalog item not existing', { code: ErrorCodes.CATALOG_ITEM_NOT_FOUND }))
+        return
+      }
+
+      res.json(this.#toCatalogItemWithLinks(item))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Creates or replaces the catalog item of a barcode. Items edited by an admin are no longer changed by learning.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async putCatalogItem (req, res, next) {
+    try {
+      const barcode = normalizeGtin(req.params.barcode)
+      const item = await CatalogItem.findOne({ barcode }) ?? new CatalogItem({ barcode })
+      const created = item.isNew
+
+      item.name = req.body.name
+      item.category = req.body.category
+      item.shelfLifeDays = req.body.shelfLifeDays
+      item.unit = req.body.unit
+      item.source = CatalogSources.ADMIN
+      await item.save()
+
+      await this.#audit(req, created ? 'catalog.create' : 'catalog.replace', 'CatalogItem', item._id, { barcode })
+
+      res
+        .status(created ? 201 : 200)
+        .json(this.#toCatalogItemWithLinks(item))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Deletes the catalog item of a barcode. It is learned again from the next product added with the barcode.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async deleteCatalogItem (req, res, next) {
+    try {
+      const item = await CatalogItem.findOneAndDelete({ barcode: normalizeGtin(req.params.barcode) })
+      if (!item) {
+        next(createError(404, 'Catalog item not existing', { code: ErrorCodes.CATALOG_ITEM_NOT_FOUND }))
+        return
+      }
+
+      await this.#audit(req, 'catalog.delete', 'CatalogItem', item._id, { barcode: item.barcode })
+
+      res
+        .status(204)
+        .end()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Runs the expiry sweep right away.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async runExpirySweep (req, res, next) {
+    try {
+      const webhookService = new WebhookService()
+      const run = await webhookService.sweep('manual')
+
+      await this.#audit(req, 'maintenance.expiry_sweep', 'SweepRun', run._id)
+
+      res.json(run)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Checks the consistency between fridges and their products, repairing it with `?repair=true`.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async runConsistencyCheck (req, res, next) {
+    try {
+      const repair = req.query.repair === 'true'
+
+      const consistencyService = new ConsistencyService()
+      const report = await consistencyService.check({ repair })
+
+      await this.#audit(req, 'maintenance.consistency_check', undefined, undefined, { repair, consistent: report.consistent })
+
+      res.json(report)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing the latest admin actions, optionally for a certain target.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findAuditLog (req, res, next) {
+    try {
+      const { page, limit, skip } = pagination(req.query)
+
+      const filter = {}
+      if (req.query.targetId) {
+        filter.targetId = `${req.query.targetId}`
+      }
+      if (req.query.action) {
+        filter.action = `${req.query.action}`
+      }
+
+      const total = await AuditLog.countDocuments(filter)
+      const entries = await AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+
+      res.json({
+        entries,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        links: [
+          ...pageLinks('/api/v1/admin/audit', req.query, total),
+          { rel: 'GET all users', href: '/api/v1/admin/users' }
+        ]
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Records an admin action in the audit log.
+   *
+   * @param {object} req - Express request object.
+   * @param {string} action - The action performed.
+   * @param {string} [targetType] - The model name of the target.
+   * @param {string} [targetId] - The id of the target.
+   * @param {object} [details] - Details of the action.
+   */
+  async #audit (req, action, targetType, targetId, details) {
+    await AuditLog.create({
+      actorId: req.user.id,
+      actorUsername: req.user.username,
+      action,
+      targetType,
+      targetId,
+      details
+    })
+  }
+
+  /**
+   * Finds the user in `req.params.userId`.
+   *
+   * @param {object} req - Express request object.
+   * @returns {Promise<User|null>} The user, or null if not found.
+   */
+  async #findUser (req) {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return null
+    }
+
+    return User.findById(req.params.userId)
+  }
+
+  /**
+   * Converts a catalog item to a JSON object with HATEOAS links.
+   *
+   * @param {CatalogItem} item - The catalog item document.
+   * @returns {object} The catalog item with links.
+   */
+  #toCatalogItemWithLinks (item) {
+    const itemWithLinks = item.toJSON() // Convert Mongoose document to JSON object
+    itemWithLinks.links = [
+      { rel: 'GET this catalog item', href: `/api/v1/admin/catalog/${item.barcode}` },
+      { rel: 'PUT replace this catalog item', href: `/api/v1/admin/catalog/${item.barcode}` },
+      { rel: 'DELETE this catalog item', href: `/api/v1/admin/catalog/${item.barcode}` },
+      { rel: 'GET product catalog', href: '/api/v1/admin/catalog' }
+    ]
+
+    return itemWithLinks
+  }
+
+  /**
+   * Converts a user to a JSON object with HATEOAS links.
+   *
+   * @param {User} user - The user document.
+   * @returns {object} The user with links.
+   */
+  #toUserWithLinks (user) {
+    const userWithLinks = user.toJSON() // Convert Mongoose document to JSON object
+    userWithLinks.links = [
+      { rel: 'GET this user', href: `/api/v1/admin/users/${user._id}` },
+      { rel: user.lockedAt ? 'POST unlock this user' : 'POST lock this user', href: `/api/v1/admin/users/${user._id}/${user.lockedAt ? 'unlock' : 'lock'}` },
+      { rel: 'PATCH change permission level of this user', href: `/api/v1/admin/users/${user._id}/permission-level` },
+      { rel: 'GET fridges of this user', href: `/api/v1/admin/fridges?ownerId=${user._id}` }
+    ]
+
+    return userWithLinks
+  }
+}
@@ -7,15 +7,27 @@
 
 import createError from 'http-errors'
 import { Fridge } from '../models/fridge.js'
-import { Product } from '../models/product.js'
+import { Membership, FridgeRoles } from '../models/membership.js'
+import { TemperatureReading } from '../models/temperature-reading.js'
+import { WebhookSubscription, WebhookEvents } from '../models/webhook-subscription.js'
 import { WebhookService } from '../services/webhook.js'
+import { FridgeService } from '../services/fridge.js'
+import { StatsService, StatsIntervals, statsPeriod } from '../services/stats.js'
+import { TrashService } from '../services/trash.js'
+import { TemperatureService, TemperatureIntervals, temperaturePeriod } from '../services/temperature.js'
+import { setFridgeETag } from '../middleware/conditional.js'
+import { validateDocument } from '../middleware/validate.js'
+import { replaceFridgeBody } from '../schemas/fridge.js'
+import { pagination, pageLinks } from '../utils/pagination.js'
+import { ErrorCodes, invalidRequest } from '../utils/errors.js'
+import { PatchTypes, applyPatch, changedFields } from '../utils/patch.js'
 
 /**
  * Encapsulates a controller.
  */
 export class FridgeController {
   /**
-   * Sends a JSON response containing all existing fridges details.
+   * Sends a JSON response containing details of all fridges the user is a member of.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -23,21 +35,22 @@ export class FridgeController {
    */
   async findAll (req, res, next) {
     try {
-      const fridges = await Fridge.find({ ownerId: req.user.id })
-        .populate('products', 'name expirationDate')
-        .select('-webhookUrl -webhookSecret -ownerId')
+      const memberships = await Membership.find({ userId: req.user.id })
+      const roles = new Map(memberships.map(membership => [membership.fridgeId.toString(), membership.role]))
 
-      if (!fridges) {
-        next(createError(404, 'No fridges found'))
-        return
-      }
+      // Fridges created before memberships existed are only linked through ownerId.
+      const fridges = await Fridge.find({ $or: [{ _id: { $in: [...roles.keys()] } }, { ownerId: req.user.id }] })
+        .populate('products', 'name expirationDate')
+        .select('-ownerId')
 
       // Construct HATEOAS links for each fridge
       const fridgesWithLinks = fridges.map(fridge => {
         const fridgeWithLinks = fridge.toJSON() // Convert Mongoose document to JSON object
+        fridgeWithLinks.role = roles.get(fridge.id) || FridgeRoles.OWNER
 
         // Add self link
         fridgeWithLinks.links = [
+          { rel: 'GET this fridge', href: `/api/v1/fridge/${fridge._id}` },
           { rel: 'POST add new fridge', href: '/api/v1/fridge' }
         ]
 
@@ -59,32 +72,25 @@ export class FridgeController {
    */
   async findById (req, res, next) {
     try {
-      const fridge = await Fridge.findById(`${req.params.id}`)
-        .populate('products', 'name expirationDate')
-        .select('-webhookUrl -webhookSecret -ownerId')
-
-      if (!fridge) {
-        next(createError(404))
-        return
-      }
+      const fridge = await req.fridge.populate('products', 'name expirationDate')
 
       const fridgeWithLinks = fridge.toJSON() // Convert Mongoose document to JSON object
+      delete fridgeWithLinks.ownerId
+      fridgeWithLinks.role = req.fridgeRole
       fridgeWithLinks.links = [
         { rel: 'POST add product to fridge', href: `/api/v1/fridge/${fridge._id}/product` },
         { rel: 'PUT fully edit fridge', href: `/api/v1/fridge/${fridge._id}` },
         { rel: 'PATCH partially edit fridge', href: `/api/v1/fridge/${fridge._id}` },
         { rel: 'DELETE fridge', href: `/api/v1/fridge/${fridge._id}` },
-        { rel: 'POST register webhook for this fridge', href: `/api/v1/fridge/${fridge._id}/webhook` }
+        { rel: 'GET webhooks of this fridge', href: `/api/v1/fridge/${fridge._id}/webhooks` },
+        { rel: 'GET webhook deliveries of this fridge', href: `/api/v1/fridge/${fridge._id}/webhook/deliveries` },
+        { rel: 'GET members of this fridge', href: `/api/v1/fridge/${fridge._id}/members` }
       ]
 
+      await setFridgeETag(res, fridge)
       res.json(fridgeWithLinks)
     } catch (error) {
-      // If not valid ID
-      if (error.kind === 'ObjectId') {
-        next(createError(404))
-      } else {
-        next(error)
-      }
+      next(error)
     }
   }
 
@@ -98,14 +104,9 @@ export class FridgeController {
   async create (req, res, next) {
     try {
       // will save location and/or description if present, not required
-      if (!req.body.name) {
-        next(createError(400, 'Bad request: Missing name for fridge.'))
-        return
-      }
-
       const existingFridge = await Fridge.findOne({ name: req.body.name })
       if (existingFridge) {
-        next(createError(409, 'Fridge with this name already exists.'))
+        next(createError(409, 'Fridge with this name already exists.', { code: ErrorCodes.FRIDGE_NAME_TAKEN }))
         return
       }
 
@@ -115,7 +116,8 @@ export class FridgeController {
         ownerId: req.user.id
       })
 
-      await fridge.save()
+      const fridgeService = new FridgeService()
+      await fridgeService.create(fridge)
 
       const fridgeWithLinks = fridge.toJSON() // Convert Mongoose document to JSON object
       fridgeWithLinks.links = [
@@ -125,9 +127,12 @@ export class FridgeController {
         { rel: 'PUT fully edit fridge', href: `/api/v1/fridge/${fridge._id}` },
         { rel: 'PATCH partially edit fridge', href: `/api/v1/fridge/${fridge._id}` },
         { rel: 'DELETE fridge', href: `/api/v1/fridge/${fridge._id}` },
-        { rel: 'POST register webhook for this fridge', href: `/api/v1/fridge/${fridge._id}/webhook` }
+        { rel: 'GET webhooks of this fridge', href: `/api/v1/fridge/${fridge._id}/webhooks` },
+        { rel: 'GET webhook deliveries of this fridge', href: `/api/v1/fridge/${fridge._id}/webhook/deliveries` },
+        { rel: 'GET members of this fridge', href: `/api/v1/fridge/${fridge._id}/members` }
       ]
 
+      await setFridgeETag(res, fridge)
       res
         .status(201)
         .json(fridgeWithLinks)
@@ -145,34 +150,33 @@ export class FridgeController {
    */
   async putEdit (req, res, next) {
     try {
-      const fridge = await Fridge.findById(req.params.id)
+      const fridge = req.fridge
 
-      if (!fridge) {
-        next(createError(404))
+      if (fridge.location !== undefined && req.body.location === undefined) {
+        next(invalidRequest([{ in: 'body', field: 'location', message: 'is required, the fridge has a location' }]))
         return
-      }
-
-      if (!req.body.name) {
-        next(createError(400, 'Bad request: Missing new name.'))
-        return
-      } else if (fridge.location && !req.body.location) {
-        next(createError(400, 'Bad request: Missing new location.'))
-        return
-      } else if (fridge.temperature && !req.body.temperature) {
-        next(createError(400, 'Bad request: Missing new temperature.'))
+      } else if (fridge.temperature !== undefined && req.body.temperature === undefined) {
+        next(invalidRequest([{ in: 'body', field: 'temperature', message: 'is required, the fridge has a temperature' }]))
         return
       }
 
-      if (req.body.name) {
-        fridge.name = req.body.name
-      }
-      if (req.body.location) {
+      fridge.name = req.body.name
+      if (req.body.location !== undefined) {
         fridge.location = req.body.location
       }
-      if (req.body.temperature) {
+      const previousTemperature = fridge.temperature
+      if (req.body.temperature !== undefined) {
         fridge.temperature = req.body.temperature
       }
+      if (req.body.expiryWarning !== undefined) {
+        fridge.expiryWarning = req.body.expiryWarning
+      }
+      if (req.body.temperatureRange !== undefined) {
+        fridge.temperatureRange = req.body.temperatureRange
+      }
       await fridge.save()
+      await this.#recordTemperatureEdit(req, fridge, previousTemperature)
+      this.#emitTemperatureChange(fridge, previousTemperature)
 
       const fridgeWithLinks = fridge.toJSON() // Convert Mongoose document to JSON object
       fridgeWithLinks.links = [
@@ -180,17 +184,15 @@ export class FridgeController {
         { rel: 'PUT fully edit fridge', href: `/api/v1/fridge/${fridge._id}` },
         { rel: 'PATCH partially edit fridge', href: `/api/v1/fridge/${fridge._id}` },
         { rel: 'DELETE fridge', href: `/api/v1/fridge/${fridge._id}` },
-        { rel: 'POST register webhook for this fridge', href: `/api/v1/fridge/${fridge._id}/webhook` }
+        { rel: 'GET webhooks of this fridge', href: `/api/v1/fridge/${fridge._id}/webhooks` },
+        { rel: 'GET webhook deliveries of this fridge', href: `/api/v1/fridge/${fridge._id}/webhook/deliveries` },
+        { rel: 'GET members of this fridge', href: `/api/v1/fridge/${fridge._id}/members` }
       ]
 
+      await setFridgeETag(res, fridge)
       res.json(fridgeWithLinks)
     } catch (error) {
-      // If not valid ID
-      if (error.kind === 'ObjectId') {
-        next(createError(404))
-      } else {
-        next(error)
-      }
+      next(error)
     }
   }
 
@@ -203,29 +205,30 @@ export class FridgeController {
    */
   async patchEdit (req, res, next) {
     try {
-      const fridge = await Fridge.findById(req.params.id)
+      const fridge = req.fridge
+      const type = req.is(PatchTypes.MERGE_PATCH, PatchTypes.JSON_PATCH)
+      const changes = type ? this.#patchChanges(fridge, req.body, type) : req.body
 
-      if (!fridge) {
-        next(createError(404))
-        return
+      // Fields removed by a patch are undefined in the changes.
+      if ('name' in changes) {
+        fridge.name = changes.name
       }
-
-      // If not valid request
-      if (!req.body.name && !req.body.location && !req.body.temperature) {
-        next(createError(400, 'Bad request: No changes made'))
-        return
+      if ('location' in changes) {
+        fridge.location = changes.location
       }
-
-      if (req.body.name) {
-        fridge.name = req.body.name
+      const previousTemperature = fridge.temperature
+      if ('temperature' in changes) {
+        fridge.temperature = changes.temperature
       }
-      if (req.body.location) {
-        fridge.location = req.body.location
+      if ('expiryWarning' in changes) {
+        fridge.expiryWarning = changes.expiryWarning
       }
-      if (req.body.temperature) {
-        fridge.temperature = req.body.temperature
+      if ('temperatureRange' in changes) {
+        fridge.temperatureRange = changes.temperatureRange
       }
       await fridge.save()
+      await this.#recordTemperatureEdit(req, fridge, previousTemperature, changes)
+      this.#emitTemperatureChange(fridge, previousTemperature)
 
       const fridgeWithLinks = fridge.toJSON() // Convert Mongoose document to JSON object
       fridgeWithLinks.links = [
@@ -233,22 +236,20 @@ export class FridgeController {
         { rel: 'PUT fully edit fridge', href: `/api/v1/fridge/${fridge._id}` },
         { rel: 'PATCH partially edit fridge', href: `/api/v1/fridge/${fridge._id}` },
         { rel: 'DELETE fridge', href: `/api/v1/fridge/${fridge._id}` },
-        { rel: 'POST register webhook for this fridge', href: `/api/v1/fridge/${fridge._id}/webhook` }
+        { rel: 'GET webhooks of this fridge', href: `/api/v1/fridge/${fridge._id}/webhooks` },
+        { rel: 'GET webhook deliveries of this fridge', href: `/api/v1/fridge/${fridge._id}/webhook/deliveries` },
+        { rel: 'GET members of this fridge', href: `/api/v1/fridge/${fridge._id}/members` }
       ]
 
+      await setFridgeETag(res, fridge)
       res.json(fridgeWithLinks)
     } catch (error) {
-      // If not valid ID
-      if (error.kind === 'ObjectId') {
-        next(createError(404))
-      } else {
-        next(error)
-      }
+      next(error)
     }
   }
 
   /**
-   * Deletes the specified fridge.
+   * Moves the specified fridge to the trash, from where its owners can restore it until it expires.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -256,32 +257,19 @@ export class FridgeController {
    */
   async delete (req, res, next) {
     try {
-      const fridge = await Fridge.findById({ _id: `${req.params.id}` })
-      if (!fridge) {
-        next(createError(404))
-        return
-      }
-
-      for (const productId of fridge.products) {
-        await Product.deleteOne({ _id: `${productId}` })
-      }
-      await fridge.deleteOne({ _id: `${req.params.id}` })
+      const trashService = new TrashService()
+      await trashService.trashFridge(req.fridge, req.user.id)
 
       res
         .status(204)
         .end()
     } catch (error) {
-      // If not valid ID
-      if (error.kind === 'ObjectId') {
-        next(createError(404))
-      } else {
-        next(error)
-      }
+      next(error)
     }
   }
 
   /**
-   * Checks fridges for expired products.
+   * Runs the expiry sweep right away, notifying webhooks about newly expired products.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -289,36 +277,19 @@ export class FridgeController {
    */
   async cleanOut (req, res, next) {
     try {
-      const currentDate = new Date()
-
       const webhookService = new WebhookService()
-      const webhookFridges = await webhookService.checkFridges(currentDate)
-      for (const fridge of webhookFridges) {
-        const response = await fetch(`${fridge.webhookUrl}`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            fridgeId: fridge._id,
-            expiredProducts: fridge.expiredProducts,
-            secret: fridge.webhookSecret
-          })
-        })
-        if (!response.ok) {
-          const error = new Error(`Webhook error ${response.status}`)
-          error.message = `Webhook error ${response.status}`
-        }
-      }
-      res.status(204).end()
+      const run = await webhookService.sweep('manual')
+
+      res.json(run)
     } catch (error) {
       next(error)
     }
   }
 
   /**
-   * Registers a webhook for the specified fridge.
+   * Registers a webhook for expired products in the specified fridge.
    * The webhookUrl and webhookSecret must be provided in the request body.
+   * Kept for existing clients, new webhooks are managed through /fridge/:id/webhooks.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -326,23 +297,214 @@ export class FridgeController {
    */
   async registerWebhook (req, res, next) {
     try {
-      const fridge = await Fridge.findById(req.params.id)
-      if (!fridge) {
-        next(createError(404))
+      const subscription = await WebhookSubscription.findOne({ fridgeId: req.fridge._id, url: req.body.webhookUrl }) ||
+        new WebhookSubscription({ fridgeId: req.fridge._id, url: req.body.webhookUrl })
+      subscription.secret = req.body.webhookSecret
+      subscription.events.addToSet(WebhookEvents.PRODUCT_EXPIRED)
+      await subscription.save()
+
+      res
+        .status(204)
+        .end()
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const err = invalidRequest([{ in: 'body', field: 'webhookUrl', message: 'must be an http or https url' }])
+        err.cause = error
+        next(err)
+      } else {
+        next(error)
+      }
+    }
+  }
+
+  /**
+   * Finds the changes a JSON Merge Patch or JSON Patch makes to the editable fields of a fridge.
+   *
+   * @param {Fridge} fridge - The fridge.
+   * @param {*} patch - The patch.
+   * @param {string} type - The media type of the patch.
+   * @returns {object} The changed fields, removed fields are undefined.
+   * @throws {Error} A 400 error if the patched fridge is not valid, or the error of a patch that can not be applied.
+   */
+  #patchChanges (fridge, patch, type) {
+    // Serialized, so the document has the same form as a request body.
+    const document = JSON.parse(JSON.stringify({
+      name: fridge.name,
+      location: fridge.location,
+      temperature: fridge.temperature,
+      temperatureRange: fridge.temperatureRange,
+      expiryWarning: fridge.expiryWarning
+    }))
+    const patched = applyPatch(document, patch, type)
+    validateDocument(replaceFridgeBody, patched)
+    return changedFields(document, patched)
+  }
+
+  /**
+   * Records a temperature set by editing a fridge as a reading, and checks the temperature
+   * against a changed allowed range.
+   *
+   * @param {object} req - Express request object.
+   * @param {Fridge} fridge - The saved fridge.
+   * @param {number} previousTemperature - The temperature before the edit.
+   * @param {object} [changes] - The changed fields, defaults to the request body.
+   */
+  async #recordTemperatureEdit (req, fridge, previousTemperature, changes = req.body) {
+    const temperatureService = new TemperatureService()
+    if (fridge.temperature !== previousTemperature && fridge.temperature !== undefined) {
+      const { readings } = temperatureService.createReadings([{ temperature: fridge.temperature }], fridge, req.user.id)
+      await temperatureService.record(fridge, readings)
+    } else if ('temperatureRange' in changes) {
+      await temperatureService.checkAlert(fridge)
+    }
+  }
+
+  /**
+   * Emits a temperature change of a fridge to its webhooks, if the temperature changed.
+   *
+   * @param {Fridge} fridge - The saved fridge.
+   * @param {number} previousTemperature - The temperature before the edit.
+   */
+  #emitTemperatureChange (fridge, previousTemperature) {
+    if (fridge.temperature === previousTemperature) {
+      return
+    }
+
+    const webhookService = new WebhookService()
+    webhookService.emit(fridge, WebhookEvents.FRIDGE_TEMPERATURE_CHANGED, {
+      fridgeId: fridge._id,
+      previousTemperature,
+      temperature: fridge.temperature
+    })
+  }
+
+  /**
+   * Sends a JSON response containing statistics of the products consumed and wasted in the fridge.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async stats (req, res, next) {
+    try {
+      const period = statsPeriod(req.query)
+      if (!period) {
+        next(createError(400, `Bad request: from and to must be dates with from before to, and interval one of ${Object.values(StatsIntervals).join(', ')}.`, { code: ErrorCodes.INVALID_PERIOD }))
         return
       }
 
-      if (!req.body.webhookUrl || !req.body.webhookSecret) {
-        next(createError(400, 'Bad request: Missing webhookUrl or webhookSecret.'))
+      const statsService = new StatsService()
+      const stats = await statsService.summarize([req.fridge._id], period)
+
+      stats.links = [
+        { rel: 'GET fridge', href: `/api/v1/fridge/${req.fridge._id}` },
+        { rel: 'GET statistics of all your fridges', href: '/api/v1/user/me/stats' }
+      ]
+
+      res.json(stats)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Records temperature readings of the fridge, for example pushed by a sensor. The body is one reading,
+   * `{ temperature, recordedAt }`, or several as `{ readings: [...] }`. Readings without `recordedAt`
+   * are recorded now.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async recordTemperature (req, res, next) {
+    try {
+      const entries = req.body.readings ?? [req.body]
+
+      const temperatureService = new TemperatureService()
+      const { readings, errors } = temperatureService.createReadings(entries, req.fridge, req.user.id)
+      if (errors.length > 0) {
+        next(createError(400, `Bad request: ${errors.length} of ${entries.length} readings are invalid, no readings were recorded.`, { code: ErrorCodes.INVALID_TEMPERATURE_READINGS, errors }))
         return
       }
-      fridge.webhookUrl = req.body.webhookUrl
-      fridge.webhookSecret = req.body.webhookSecret
-      await fridge.save()
+
+      const previousTemperature = req.fridge.temperature
+      await temperatureService.record(req.fridge, readings)
+      this.#emitTemperatureChange(req.fridge, previousTemperature)
 
       res
-        .status(204)
-        .end()
+        .status(201)
+        .json({
+          recorded: readings.length,
+          temperature: req.fridge.temperature,
+          temperatureRange: req.fridge.temperatureRange ?? null,
+          temperatureAlertSince: req.fridge.temperatureAlertSince ?? null,
+          links: [
+            { rel: 'GET temperature readings of fridge', href: `/api/v1/fridge/${req.fridge._id}/temperature` },
+            { rel: 'GET fridge', href: `/api/v1/fridge/${req.fridge._id}` }
+          ]
+        })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing the temperature readings of the fridge in a period, `?from` and `?to`
+   * (the last day by default). With `?interval=hour` or `day` the readings are aggregated per period,
+   * otherwise they are listed a page at a time, oldest first.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findTemperatures (req, res, next) {
+    try {
+      const period = temperaturePeriod(req.query)
+      if (!period) {
+        next(createError(400, `Bad request: from and to must be dates with from before to, and interval one of ${Object.values(TemperatureIntervals).join(', ')}.`, { code: ErrorCodes.INVALID_PERIOD }))
+        return
+      }
+
+      const path = `/api/v1/fridge/${req.fridge._id}/temperature`
+      const result = {
+        fridgeId: req.fridge._id,
+        from: period.from,
+        to: period.to,
+        temperature: req.fridge.temperature ?? null,
+        temperatureRange: req.fridge.temperatureRange ?? null,
+        temperatureAlertSince: req.fridge.temperatureAlertSince ?? null
+      }
+
+      const temperatureService = new TemperatureService()
+      if (period.interval) {
+        result.interval = period.interval
+        result.periods = await temperatureService.aggregate(req.fridge._id, period)
+        result.links = []
+      } else {
+        const { page, limit, skip } = pagination(req.query)
+        const filter = { fridgeId: req.fridge._id, recordedAt: { $gte: period.from, $lt: period.to } }
+        const total = await TemperatureReading.countDocuments(filter)
+        const readings = await TemperatureReading.find(filter)
+          .sort({ recordedAt: 1, _id: 1 })
+          .skip(skip)
+          .limit(limit)
+
+        Object.assign(result, {
+          readings: readings.map(({ temperature, recordedAt }) => ({ temperature, recordedAt })),
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        })
+        result.links = pageLinks(path, req.query, total)
+      }
+
+      result.links.push(
+        { rel: 'POST record temperature reading', href: path },
+        { rel: 'GET fridge', href: `/api/v1/fridge/${req.fridge._id}` }
+      )
+
+      res.json(result)
     } catch (error) {
       next(error)
     }
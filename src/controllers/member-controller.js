@@ -0,0 +1,185 @@
+/**
+ * Module for member controller.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import mongoose from 'mongoose'
+import { Membership, FridgeRoles } from '../models/membership.js'
+import { User } from '../models/user.js'
+import { FridgeService } from '../services/fridge.js'
+import { ErrorCodes } from '../utils/errors.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class MemberController {
+  /**
+   * Sends a JSON response containing all members of a fridge.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findAll (req, res, next) {
+    try {
+      const memberships = await Membership.find({ fridgeId: req.fridge._id })
+        .populate('userId', 'username firstName lastName')
+
+      const membersWithLinks = memberships
+        .filter(membership => membership.userId)
+        .map(membership => this.#toMemberWithLinks(req.fridge._id, membership))
+
+      res.json({
+        membersWithLinks,
+        links: [
+          { rel: 'POST invite member to fridge', href: `/api/v1/fridge/${req.fridge._id}/members` },
+          { rel: 'GET fridge', href: `/api/v1/fridge/${req.fridge._id}` }
+        ]
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Invites a user to a fridge. The user is identified by username or email.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async invite (req, res, next) {
+    try {
+      const role = req.body.role || FridgeRoles.VIEWER
+
+      const user = await User.findOne(req.body.username
+        ? { username: req.body.username }
+        : { email: req.body.email.toLowerCase() })
+      if (!user) {
+        next(createError(404, 'User not existing', { code: ErrorCodes.USER_NOT_FOUND }))
+        return
+      }
+
+      const existingMembership = await Membership.findOne({ fridgeId: req.fridge._id, userId: user._id })
+      if (existingMembership || req.fridge.ownerId.equals(user._id)) {
+        next(createError(409, 'User is already a member of this fridge.', { code: ErrorCodes.ALREADY_MEMBER }))
+        return
+      }
+
+      const membership = await Membership.create({ fridgeId: req.fridge._id, userId: user._id, role })
+      await membership.populate('userId', 'username firstName lastName')
+
+      res
+        .status(201)
+        .json(this.#toMemberWithLinks(req.fridge._id, membership))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Changes the role of a member.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async changeRole (req, res, next) {
+    try {
+      const membership = await this.#findMembership(req)
+      if (!membership) {
+        next(createError(404, 'Member not existing', { code: ErrorCodes.MEMBER_NOT_FOUND }))
+        return
+      }
+
+      const fridgeService = new FridgeService()
+      if (req.body.role !== FridgeRoles.OWNER && await fridgeService.isLastOwner(membership)) {
+        next(createError(409, 'A fridge must have at least one owner.', { code: ErrorCodes.LAST_OWNER }))
+        return
+      }
+
+      membership.role = req.body.role
+      await membership.save()
+      await membership.populate('userId', 'username firstName lastName')
+
+      res.json(this.#toMemberWithLinks(req.fridge._id, membership))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Removes a member from a fridge. Owners can remove anyone, other members can only remove themselves.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async remove (req, res, next) {
+    try {
+      if (req.fridgeRole !== FridgeRoles.OWNER && req.params.userId !== req.user.id) {
+        next(createError(403))
+        return
+      }
+
+      const membership = await this.#findMembership(req)
+      if (!membership) {
+        next(createError(404, 'Member not existing', { code: ErrorCodes.MEMBER_NOT_FOUND }))
+        return
+      }
+
+      const fridgeService = new FridgeService()
+      if (await fridgeService.isLastOwner(membership)) {
+        next(createError(409, 'A fridge must have at least one owner.', { code: ErrorCodes.LAST_OWNER }))
+        return
+      }
+
+      await fridgeService.removeMember(req.fridge, membership)
+
+      res
+        .status(204)
+        .end()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Finds the membership of the user in `req.params.userId` in the requested fridge.
+   *
+   * @param {object} req - Express request object.
+   * @returns {Promise<Membership|null>} The membership, or null if not found.
+   */
+  async #findMembership (req) {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return null
+    }
+
+    return Membership.findOne({ fridgeId: req.fridge._id, userId: req.params.userId })
+  }
+
+  /**
+   * Converts a membership populated with its user to a JSON object with HATEOAS links.
+   *
+   * @param {string} fridgeId - The id of the fridge.
+   * @param {Membership} membership - The membership document.
+   * @returns {object} The member with links.
+   */
+  #toMemberWithLinks (fridgeId, membership) {
+    const user = membership.userId
+    return {
+      userId: user.id,
+      username: user.username,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: membership.role,
+      links: [
+        { rel: 'PATCH change role of member', href: `/api/v1/fridge/${fridgeId}/members/${user.id}` },
+        { rel: 'DELETE remove member', href: `/api/v1/fridge/${fridgeId}/members/${user.id}` }
+      ]
+    }
+  }
+}
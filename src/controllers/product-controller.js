@@ -6,15 +6,50 @@
  */
 
 import createError from 'http-errors'
-import { Product } from '../models/product.js'
 import { Fridge } from '../models/fridge.js'
+import { Membership, FridgeRoles } from '../models/membership.js'
+import { Product } from '../models/product.js'
+import { RemovalReasons } from '../models/product-history.js'
+import { User } from '../models/user.js'
+import { warningDays } from '../models/expiry-warning.js'
+import { WebhookEvents } from '../models/webhook-subscription.js'
+import { WebhookService } from '../services/webhook.js'
+import { FridgeService } from '../services/fridge.js'
+import { InventoryService, MAX_IMPORT_ROWS } from '../services/inventory.js'
+import { TrashService } from '../services/trash.js'
+import { CatalogService } from '../services/catalog.js'
+import { pagination, pageLinks } from '../utils/pagination.js'
+import { hasFridgeRole } from '../middleware/auth.js'
+import { setETag } from '../middleware/conditional.js'
+import { validateDocument } from '../middleware/validate.js'
+import { patchedProductBody } from '../schemas/product.js'
+import { convert, isConvertible } from '../utils/units.js'
+import { normalizeGtin } from '../utils/barcode.js'
+import { ErrorCodes, invalidRequest } from '../utils/errors.js'
+import { PatchTypes, applyPatch, changedFields } from '../utils/patch.js'
+
+// Milliseconds in an hour and in a day.
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+// Fields products can be sorted by.
+const SORTABLE_FIELDS = ['expirationDate', 'price', 'name', 'category', 'createdAt']
+
+// Quantities this close to zero count as used up, as converted quantities are not exact.
+const QUANTITY_TOLERANCE = 1e-6
 
 /**
  * Encapsulates a controller.
  */
 export class ProductController {
   /**
-   * Sends a JSON response containing all existing products details.
+   * Sends a JSON response containing a page of the products in the fridge.
+   *
+   * The products can be filtered by `?category`, by price with `?minPrice` and `?maxPrice`
+   * and by expiration date with `?expiringAfter` and `?expiringBefore`.
+   * With `?expiring=within:<n>d` (or `<n>h`) only products expiring within that time are included,
+   * with `?expiring=soon` only products within their configured expiry warning.
+   * The order is chosen with `?sort`, for example `expirationDate` or `-price`, and the page with `?page` and `?limit`.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -22,18 +57,33 @@ export class ProductController {
    */
   async findAll (req, res, next) {
     try {
-      const fridge = await Fridge.findById(req.fridgeId)
-      if (!fridge) {
-        next(createError(404, 'Fridge not existing'))
+      const conditions = await this.#conditions(req.query, [req.fridge])
+
+      const sort = this.#sort(req.query.sort)
+      if (!sort) {
+        next(createError(400, `Bad request: sort must be one or more of ${SORTABLE_FIELDS.join(', ')}, separated by commas and optionally prefixed with "-" for descending order.`, { code: ErrorCodes.INVALID_SORT }))
         return
       }
-      const products = await Product.find({ fridgeId: req.fridgeId })
 
-      if (products.length === 0) {
+      const filter = { $and: conditions }
+      const { page, limit, skip } = pagination(req.query)
+      const path = `/api/v1/fridge/${req.fridgeId}/product`
+
+      const total = await Product.countDocuments(filter)
+      const products = await Product.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+
+      if (total === 0) {
         res.json({
           message: 'No products found',
+          total,
+          page,
+          limit,
+          totalPages: 0,
           links: [
-            { rel: 'POST new product to fridge', href: `/api/v1/fridge/${req.fridgeId}/product` },
+            { rel: 'POST new product to fridge', href: path },
             { rel: 'GET fridge containing products', href: `/api/v1/fridge/${req.fridgeId}` }
           ]
         })
@@ -46,10 +96,11 @@ export class ProductController {
 
         // Add self link
         productWithLinks.links = [
-          { rel: 'GET this product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` },
-          { rel: 'PUT fully edit product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` },
-          { rel: 'PATCH partially edit product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` },
-          { rel: 'DELETE product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` }
+          { rel: 'GET this product', href: `${path}/${product._id}` },
+          { rel: 'PUT fully edit product', href: `${path}/${product._id}` },
+          { rel: 'PATCH partially edit product', href: `${path}/${product._id}` },
+          { rel: 'POST consume some of product', href: `${path}/${product._id}/consume` },
+          { rel: 'DELETE product', href: `${path}/${product._id}` }
         ]
 
         return productWithLinks
@@ -57,8 +108,13 @@ export class ProductController {
 
       res.json({
         productsWithLinks,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
         links: [
-          { rel: 'POST new product to fridge', href: `/api/v1/fridge/${req.fridgeId}/product` },
+          ...pageLinks(path, req.query, total),
+          { rel: 'POST new product to fridge', href: path },
           { rel: 'GET fridge containing products', href: `/api/v1/fridge/${req.fridgeId}` }
         ]
       })
@@ -68,43 +124,214 @@ export class ProductController {
   }
 
   /**
-   * Sends a JSON response containing a certain product details by id.
+   * Sends a JSON response containing a page of the products in every fridge the user is a member of.
+   *
+   * With `?q` products are matched by the words in their name, best matches first.
+   * Takes the same filters, `?sort`, `?page` and `?limit` as listing the products of a fridge.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
    * @param {Function} next - Express next middleware function.
    */
-  async findById (req, res, next) {
+  async search (req, res, next) {
+    try {
+      const fridgeService = new FridgeService()
+      const fridges = await Fridge.find(await fridgeService.memberFilter(req.user.id))
+        .select('name ownerId expiryWarning')
+      const fridgeNames = new Map(fridges.map(fridge => [fridge.id, fridge.name]))
+
+      const conditions = await this.#conditions(req.query, fridges)
+
+      const sort = this.#sort(req.query.sort || (req.query.q ? 'relevance' : undefined), Boolean(req.query.q))
+      if (!sort) {
+        next(createError(400, `Bad request: sort must be one or more of ${SORTABLE_FIELDS.join(', ')}, separated by commas and optionally prefixed with "-" for descending order. Searching with q can also be sorted by relevance.`, { code: ErrorCodes.INVALID_SORT }))
+        return
+      }
+
+      const filter = { $and: conditions }
+      if (req.query.q) {
+        filter.$text = { $search: `${req.query.q}` }
+      }
+
+      const { page, limit, skip } = pagination(req.query)
+
+      const total = fridges.length > 0 ? await Product.countDocuments(filter) : 0
+      const products = total > 0
+        ? await Product.find(filter, req.query.q ? { score: { $meta: 'textScore' } } : undefined)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+        : []
+
+      const productsWithLinks = products.map(product => {
+        const productWithLinks = product.toJSON() // Convert Mongoose document to JSON object
+        productWithLinks.fridgeName = fridgeNames.get(product.fridgeId.toString())
+
+        productWithLinks.links = [
+          { rel: 'GET this product', href: `/api/v1/fridge/${product.fridgeId}/product/${product._id}` },
+          { rel: 'GET fridge containing this product', href: `/api/v1/fridge/${product.fridgeId}` }
+        ]
+
+        return productWithLinks
+      })
+
+      res.json({
+        productsWithLinks,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        links: [
+          ...pageLinks('/api/v1/product', req.query, total),
+          { rel: 'GET your fridges', href: '/api/v1/fridge' }
+        ]
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Adds several products at once, from a JSON array (or an object with a `products` array) or from CSV with a header row.
+   * Every row is validated, if any row is invalid no products are added unless `?skipInvalid=true`,
+   * which adds the valid rows.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async importProducts (req, res, next) {
+    try {
+      const inventoryService = new InventoryService()
+
+      let rows
+      if (req.is('text/csv')) {
+        try {
+          rows = inventoryService.parseCsv(typeof req.body === 'string' ? req.body : '')
+        } catch (error) {
+          const err = createError(400, `Bad request: Invalid CSV. ${error.message}`, { code: ErrorCodes.INVALID_CSV })
+          err.cause = error
+          next(err)
+          return
+        }
+      } else {
+        rows = Array.isArray(req.body) ? req.body : req.body?.products
+      }
+
+      if (!Array.isArray(rows) || rows.length === 0) {
+        next(createError(400, 'Bad request: Expected a JSON array of products or CSV with a header row and at least one product.'))
+        return
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        next(createError(413, `At most ${MAX_IMPORT_ROWS} products can be added at once.`, { code: ErrorCodes.TOO_MANY_PRODUCTS }))
+        return
+      }
+
+      const { products, errors } = inventoryService.createProducts(rows, req.fridge)
+      const skipInvalid = req.query.skipInvalid === 'true'
+      if (errors.length > 0 && (!skipInvalid || products.length === 0)) {
+        next(createError(400, `Bad request: ${errors.length} of ${rows.length} products are invalid, no products were added.`, { code: ErrorCodes.INVALID_PRODUCTS, errors }))
+        return
+      }
+
+      const fridgeService = new FridgeService()
+      await fridgeService.addProducts(req.fridge, products)
+
+      const webhookService = new WebhookService()
+      for (const product of products) {
+        webhookService.emit(req.fridge, WebhookEvents.PRODUCT_CREATED, { fridgeId: req.fridge._id, product })
+      }
+
+      const path = `/api/v1/fridge/${req.fridgeId}/product`
+      res
+        .status(201)
+        .json({
+          created: products.length,
+          productsWithLinks: products.map(product => {
+            const productWithLinks = product.toJSON() // Convert Mongoose document to JSON object
+            productWithLinks.links = [
+              { rel: 'GET this product', href: `${path}/${product._id}` }
+            ]
+            return productWithLinks
+          }),
+          errors,
+          links: [
+            { rel: 'GET products in fridge', href: path },
+            { rel: 'GET export products in fridge', href: `${path}/export` }
+          ]
+        })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends all products in the fridge as a file, `?format=json` (default) or `?format=csv`,
+   * in the same format as products are added in bulk.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async exportProducts (req, res, next) {
     try {
-      const product = await Product.findById(`${req.params.id}`)
+      const format = req.query.format || 'json'
 
-      if (!product) {
-        next(createError(404))
+      const products = await Product.find({ fridgeId: req.fridge._id }).sort({ expirationDate: 1, _id: 1 })
+      const inventoryService = new InventoryService()
+      const filename = `fridge-${req.fridge._id}-${new Date().toISOString().slice(0, 10)}.${format}`
+
+      res.attachment(filename)
+      if (format === 'csv') {
+        res
+          .type('text/csv')
+          .send(inventoryService.toCsv(products))
         return
       }
 
+      res.json({
+        fridgeId: req.fridge.id,
+        fridgeName: req.fridge.name,
+        exportedAt: new Date(),
+        products: products.map(product => inventoryService.toRecord(product))
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing a certain product details by id.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findById (req, res, next) {
+    try {
+      const product = req.product
+
       const productWithLinks = product.toJSON() // Convert Mongoose document to JSON object
       productWithLinks.links = [
         { rel: 'GET fridge containing this product', href: `/api/v1/fridge/${req.fridgeId}` },
         { rel: 'POST new product to fridge', href: `/api/v1/fridge/${req.fridgeId}/product` },
         { rel: 'PUT fully edit product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` },
         { rel: 'PATCH partially edit product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` },
+        { rel: 'POST consume some of product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}/consume` },
+        { rel: 'POST move product to another fridge', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}/move` },
         { rel: 'DELETE product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` }
       ]
 
+      setETag(res, product)
       res.json(productWithLinks)
     } catch (error) {
-      // If not valid ID
-      if (error.kind === 'ObjectId') {
-        next(createError(404))
-      } else {
-        next(error)
-      }
+      next(error)
     }
   }
 
   /**
-   * Creates a new product.
+   * Creates a new product. A product with a barcode gets the fields that are not given from
+   * the catalog, and the catalog learns from it.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -112,37 +339,48 @@ export class ProductController {
    */
   async create (req, res, next) {
     try {
-      if (!req.body.name) {
-        next(createError(400, 'Bad request: Missing name'))
+      const catalogService = new CatalogService()
+      let fields = req.body
+      if (req.body.barcode !== undefined) {
+        const { fields: filled, item } = await catalogService.autofill({ ...req.body, barcode: normalizeGtin(req.body.barcode) })
+        const missing = ['name', 'expirationDate'].filter(field => filled[field] === undefined)
+        if (missing.length > 0) {
+          next(invalidRequest(missing.map(field => ({
+            in: 'body',
+            field,
+            message: item ? 'is required, the catalog has no shelf life for the barcode' : 'is required, the barcode is not in the catalog'
+          }))))
+          return
+        }
+        fields = filled
       }
-      if (!req.body.expirationDate || isNaN(Date.parse(req.body.expirationDate))) {
-        next(createError(400, 'Bad request: Missing expiration date or invalid date format. "YYYY-MM-DD" expected.'))
-      }
-      const date = new Date(req.body.expirationDate)
+
+      const date = new Date(fields.expirationDate)
 
       // will save location and/or description if present, not required
       const product = new Product({
         // fridge id from params
         expirationDate: date,
-        name: req.body.name,
-        fridgeId: req.fridgeId,
-        category: req.body.category,
-        price: req.body.price
+        name: fields.name,
+        fridgeId: req.fridge._id,
+        category: fields.category,
+        price: fields.price,
+        quantity: fields.quantity,
+        unit: fields.unit,
+        barcode: fields.barcode
       })
 
-      await product.save()
-
       // add product to fridge
-      const fridge = await Fridge.findById(req.fridgeId)
-
-      if (!fridge) {
-        next(createError(404, 'Fridge not existing'))
-        return
+      const fridge = req.fridge
+      const fridgeService = new FridgeService()
+      await fridgeService.addProducts(fridge, [product])
+
+      const webhookService = new WebhookService()
+      webhookService.emit(fridge, WebhookEvents.PRODUCT_CREATED, { fridgeId: fridge._id, product })
+      if (product.barcode) {
+        catalogService.learn(product, req.user.id)
       }
 
-      fridge.products.push(product)
-      await fridge.save()
-
       const productWithLinks = product.toJSON() // Convert Mongoose document to JSON object
       productWithLinks.links = [
         { rel: 'GET fridge with added product', href: `/api/v1/fridge/${req.fridgeId}` },
@@ -150,9 +388,12 @@ export class ProductController {
         { rel: 'POST another product to fridge', href: `/api/v1/fridge/${req.fridgeId}/product` },
         { rel: 'PUT fully edit product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` },
         { rel: 'PATCH partially edit product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` },
+        { rel: 'POST consume some of product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}/consume` },
+        { rel: 'POST move product to another fridge', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}/move` },
         { rel: 'DELETE product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` }
       ]
 
+      setETag(res, product)
       res
         .status(201)
         .json(productWithLinks)
@@ -170,36 +411,30 @@ export class ProductController {
    */
   async putEdit (req, res, next) {
     try {
-      const product = await Product.findById(req.params.id)
-
-      if (!product) {
-        next(createError(404))
-        return
-      }
+      const product = req.product
 
       // if all props not present in request, not valid PUT request.
-      if (!req.body.expirationDate || !req.body.name) {
-        next(createError(400, 'Bad request: Missing expiratinDate or name'))
-        return
-      } else if (product.price && !req.body.price) {
-        next(createError(400, 'Bad request: New price must be provided.'))
+      if (product.price !== undefined && req.body.price === undefined) {
+        next(invalidRequest([{ in: 'body', field: 'price', message: 'is required, the product has a price' }]))
         return
-      } else if (product.category && !req.body.category) {
-        next(createError(400, 'Bad request: New category must be provided.'))
+      } else if (product.category !== undefined && req.body.category === undefined) {
+        next(invalidRequest([{ in: 'body', field: 'category', message: 'is required, the product has a category' }]))
         return
       }
-      if (req.body.expirationDate) {
-        product.expirationDate = req.body.expirationDate
-      }
-      if (req.body.name) {
-        product.name = req.body.name
-      }
-      if (req.body.price) {
+      product.expirationDate = new Date(req.body.expirationDate)
+      product.name = req.body.name
+      if (req.body.price !== undefined) {
         product.price = req.body.price
       }
-      if (req.body.category) {
+      if (req.body.category !== undefined) {
         product.category = req.body.category
       }
+      if (req.body.quantity !== undefined) {
+        product.quantity = req.body.quantity
+      }
+      if (req.body.unit !== undefined) {
+        product.unit = req.body.unit
+      }
 
       await product.save()
 
@@ -209,17 +444,15 @@ export class ProductController {
         { rel: 'POST new product to fridge', href: `/api/v1/fridge/${req.fridgeId}/product` },
         { rel: 'PUT fully edit product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` },
         { rel: 'PATCH partially edit product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` },
+        { rel: 'POST consume some of product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}/consume` },
+        { rel: 'POST move product to another fridge', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}/move` },
         { rel: 'DELETE product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` }
       ]
 
+      setETag(res, product)
       res.json(productWithLinks)
     } catch (error) {
-      // If not valid ID
-      if (error.kind === 'ObjectId') {
-        next(createError(404))
-      } else {
-        next(error)
-      }
+      next(error)
     }
   }
 
@@ -232,30 +465,42 @@ export class ProductController {
    */
   async patchEdit (req, res, next) {
     try {
-      const product = await Product.findById(req.params.id)
-
-      if (!product) {
-        next(createError(404))
-        return
-      }
+      const product = req.product
+      const type = req.is(PatchTypes.MERGE_PATCH, PatchTypes.JSON_PATCH)
+      const changes = type ? this.#patchChanges(product, req.body, type) : req.body
 
       // If not valid request - no changes
-      if (!req.body.expirationDate && !req.body.fridgeId && !req.body.name && !req.body.price && !req.body.category) {
-        next(createError(400, 'Bad request: No changes made'))
+      if (changes.fridgeId !== undefined && changes.fridgeId !== product.fridgeId.toString()) {
+        next(createError(400, `Bad request: Products are moved to another fridge with a POST request to /api/v1/fridge/${req.fridgeId}/product/${product._id}/move.`, { code: ErrorCodes.PRODUCT_MOVE_REQUIRED }))
         return
       }
 
-      if (req.body.expirationDate) {
-        product.expirationDate = req.body.expirationDate
+      // Fields removed by a patch are undefined in the changes.
+      if ('expirationDate' in changes) {
+        product.expirationDate = new Date(changes.expirationDate)
       }
-      if (req.body.name) {
-        product.name = req.body.name
+      if ('name' in changes) {
+        product.name = changes.name
       }
-      if (req.body.price) {
-        product.price = req.body.price
+      if ('price' in changes) {
+        product.price = changes.price
       }
-      if (req.body.category) {
-        product.category = req.body.category
+      if ('category' in changes) {
+        product.category = changes.category
+      }
+      if ('quantity' in changes) {
+        product.quantity = changes.quantity
+        if ('unit' in changes) {
+          product.unit = changes.unit
+        }
+      } else if ('unit' in changes && changes.unit !== product.unit) {
+        // Only the unit is changed, the quantity stays the same amount in the new unit.
+        if (!isConvertible(product.unit, changes.unit)) {
+          next(createError(400, `Bad request: Can not convert ${product.unit} to ${changes.unit}, provide a new quantity too.`, { code: ErrorCodes.UNIT_NOT_CONVERTIBLE }))
+          return
+        }
+        product.quantity = convert(product.quantity, product.unit, changes.unit)
+        product.unit = changes.unit
       }
       await product.save()
 
@@ -265,61 +510,345 @@ export class ProductController {
         { rel: 'POST new product to fridge', href: `/api/v1/fridge/${req.fridgeId}/product` },
         { rel: 'PUT fully edit product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` },
         { rel: 'PATCH partially edit product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` },
+        { rel: 'POST consume some of product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}/consume` },
+        { rel: 'POST move product to another fridge', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}/move` },
         { rel: 'DELETE product', href: `/api/v1/fridge/${req.fridgeId}/product/${product._id}` }
       ]
 
+      setETag(res, product)
       res.json(productWithLinks)
     } catch (error) {
-      // If not valid ID
-      if (error.kind === 'ObjectId') {
-        next(createError(404))
-      } else {
-        next(error)
-      }
+      next(error)
     }
   }
 
   /**
-   * Deletes the specified product.
+   * Consumes some of the specified product, lowering its quantity.
+   * The quantity can be given in any unit convertible to the unit of the product.
+   * A product that is used up is removed from the fridge.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
    * @param {Function} next - Express next middleware function.
    */
-  async delete (req, res, next) {
+  async consume (req, res, next) {
     try {
-      // delete product from fridge
+      const product = req.product
+      const unit = req.body.unit ?? product.unit
 
-      const product = await Product.findById({ _id: `${req.params.id}` })
-      if (!product) {
-        next(createError(404, 'Product not existing'))
+      const quantity = req.body.quantity
+      if (quantity === 0) {
+        next(invalidRequest([{ in: 'body', field: 'quantity', message: 'must be greater than 0' }]))
+        return
+      }
+      if (!isConvertible(unit, product.unit)) {
+        next(createError(400, `Bad request: Can not convert ${unit} to ${product.unit}.`, { code: ErrorCodes.UNIT_NOT_CONVERTIBLE }))
         return
       }
 
-      const fridge = await Fridge.findById(req.fridgeId)
-      if (!fridge) {
-        next(createError(404, 'Fridge not existing'))
+      const amount = convert(quantity, unit, product.unit)
+
+      // Products created before quantities existed have none stored.
+      await Product.updateOne(
+        { _id: product._id, quantity: { $exists: false } },
+        { quantity: product.quantity, unit: product.unit }
+      )
+
+      // Lower the quantity in the same operation as checking it, so concurrent consumers can not use more than there is.
+      const consumed = await Product.findOneAndUpdate(
+        { _id: product._id, unit: product.unit, quantity: { $gte: amount - QUANTITY_TOLERANCE } },
+        { $inc: { quantity: -amount, __v: 1 } },
+        { new: true }
+      )
+      if (!consumed) {
+        const current = await Product.findById(product._id)
+        next(createError(409, current
+          ? `Only ${current.quantity} ${current.unit} of the product is left.`
+          : 'The product has already been used up.', { code: ErrorCodes.INSUFFICIENT_QUANTITY }))
         return
       }
 
-      const index = fridge.products.indexOf(product._id)
-      if (index > -1) {
-        fridge.products.splice(index, 1)
+      if (consumed.quantity > QUANTITY_TOLERANCE) {
+        const productWithLinks = consumed.toJSON() // Convert Mongoose document to JSON object
+        productWithLinks.links = [
+          { rel: 'GET this product', href: `/api/v1/fridge/${req.fridgeId}/product/${consumed._id}` },
+          { rel: 'POST consume more of product', href: `/api/v1/fridge/${req.fridgeId}/product/${consumed._id}/consume` },
+          { rel: 'GET fridge containing this product', href: `/api/v1/fridge/${req.fridgeId}` }
+        ]
+
+        setETag(res, consumed)
+        res.json(productWithLinks)
+        return
+      }
+
+      // The product is used up, remove it from the fridge.
+      // The history records the quantity left before this last use.
+      const fridge = req.fridge
+      const fridgeService = new FridgeService()
+      await fridgeService.removeProduct(fridge, req.product, RemovalReasons.CONSUMED, req.user.id)
+      consumed.quantity = 0
+
+      const webhookService = new WebhookService()
+      webhookService.emit(fridge, WebhookEvents.PRODUCT_DELETED, { fridgeId: fridge._id, product: consumed })
+
+      const productWithLinks = consumed.toJSON() // Convert Mongoose document to JSON object
+      productWithLinks.finished = true
+      productWithLinks.links = [
+        { rel: 'GET fridge the product was removed from', href: `/api/v1/fridge/${req.fridgeId}` },
+        { rel: 'POST new product to fridge', href: `/api/v1/fridge/${req.fridgeId}/product` }
+      ]
+
+      res.json(productWithLinks)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Moves the specified product to another fridge, given as `targetFridgeId`.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async move (req, res, next) {
+    try {
+      await this.#moveProducts(req, res, next, [req.product])
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Moves several products, given as `productIds`, to another fridge, given as `targetFridgeId`.
+   * Either all of the products are moved or none of them.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async moveMany (req, res, next) {
+    try {
+      const uniqueIds = [...new Set(req.body.productIds)]
+      const products = await Product.find({ _id: { $in: uniqueIds }, fridgeId: req.fridge._id })
+      if (products.length !== uniqueIds.length) {
+        const found = new Set(products.map(product => product.id))
+        next(createError(404, `Product not existing: ${uniqueIds.filter(productId => !found.has(productId)).join(', ')}`, { code: ErrorCodes.PRODUCT_NOT_IN_FRIDGE }))
+        return
       }
-      await fridge.save()
 
-      await Product.deleteOne({ _id: `${req.params.id}` })
+      await this.#moveProducts(req, res, next, products)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Moves the specified product to the trash, recording in the product history whether it was consumed or wasted.
+   * The reason is given as `?reason=`, or in the body. Without a reason, expired products count as wasted
+   * and other products as consumed.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async delete (req, res, next) {
+    try {
+      // delete product from fridge
+      const product = req.product
+      const fridge = req.fridge
+
+      const reason = req.query.reason ?? req.body?.reason ?? (product.expirationDate < new Date() ? RemovalReasons.WASTED : RemovalReasons.CONSUMED)
+
+      const trashService = new TrashService()
+      await trashService.trashProduct(fridge, product, reason, req.user.id)
+
+      const webhookService = new WebhookService()
+      webhookService.emit(fridge, WebhookEvents.PRODUCT_DELETED, { fridgeId: fridge._id, product })
 
       res
         .status(204)
         .end()
     } catch (error) {
-      // If not valid ID
-      if (error.kind === 'ObjectId') {
-        next(createError(404))
+      next(error)
+    }
+  }
+
+  /**
+   * Finds the changes a JSON Merge Patch or JSON Patch makes to the editable fields of a product.
+   *
+   * @param {Product} product - The product.
+   * @param {*} patch - The patch.
+   * @param {string} type - The media type of the patch.
+   * @returns {object} The changed fields, removed fields are undefined.
+   * @throws {Error} A 400 error if the patched product is not valid, or the error of a patch that can not be applied.
+   */
+  #patchChanges (product, patch, type) {
+    // Serialized, so the document has the same form as a request body.
+    const document = JSON.parse(JSON.stringify({
+      name: product.name,
+      expirationDate: product.expirationDate,
+      category: product.category,
+      price: product.price,
+      quantity: product.quantity,
+      unit: product.unit
+    }))
+    const patched = applyPatch(document, patch, type)
+    validateDocument(patchedProductBody, patched)
+    return changedFields(document, patched)
+  }
+
+  /**
+   * Moves products of the requested fridge to the fridge in `req.body.targetFridgeId`,
+   * which the user must be allowed to edit.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {Product[]} products - The products to move.
+   */
+  async #moveProducts (req, res, next, products) {
+    const target = await Fridge.findById(req.body.targetFridgeId)
+    if (!target) {
+      next(createError(404, 'Fridge not existing', { code: ErrorCodes.FRIDGE_NOT_FOUND }))
+      return
+    }
+    if (target._id.equals(req.fridge._id)) {
+      next(createError(400, 'Bad request: The products are already in this fridge.', { code: ErrorCodes.PRODUCT_ALREADY_IN_FRIDGE }))
+      return
+    }
+    if (!hasFridgeRole(await Membership.findForUser(target, req.user.id), FridgeRoles.EDITOR)) {
+      next(createError(403))
+      return
+    }
+
+    const fridgeService = new FridgeService()
+    if (!await fridgeService.moveProducts(products, req.fridge, target, req.user.id)) {
+      next(createError(409, 'The products were changed while moving, try again.', { code: ErrorCodes.PRODUCT_CHANGED }))
+      return
+    }
+
+    const webhookService = new WebhookService()
+    for (const product of products) {
+      webhookService.emit(req.fridge, WebhookEvents.PRODUCT_DELETED, { fridgeId: req.fridge._id, product })
+      product.fridgeId = target._id
+      webhookService.emit(target, WebhookEvents.PRODUCT_CREATED, { fridgeId: target._id, product })
+    }
+
+    const path = `/api/v1/fridge/${target._id}/product`
+    res.json({
+      productsWithLinks: products.map(product => {
+        const productWithLinks = product.toJSON() // Convert Mongoose document to JSON object
+        productWithLinks.links = [
+          { rel: 'GET this product', href: `${path}/${product._id}` }
+        ]
+        return productWithLinks
+      }),
+      links: [
+        { rel: 'GET fridge the products were moved to', href: `/api/v1/fridge/${target._id}` },
+        { rel: 'GET fridge the products were moved from', href: `/api/v1/fridge/${req.fridge._id}` }
+      ]
+    })
+  }
+
+  /**
+   * Creates the query conditions for listing products from the query string.
+   *
+   * @param {object} query - The parsed query string, as in `req.query`.
+   * @param {object[]} fridges - The fridges to list products from.
+   * @returns {Promise<object[]>} The query conditions, all of which must match.
+   * @throws {Error} A 400 error if the query string is invalid.
+   */
+  async #conditions (query, fridges) {
+    const conditions = [{ fridgeId: { $in: fridges.map(fridge => fridge._id) } }]
+
+    if (query.category) {
+      conditions.push({ category: { $in: [query.category].flat() } })
+    }
+
+    for (const [param, operator] of [['minPrice', '$gte'], ['maxPrice', '$lte']]) {
+      if (query[param] !== undefined) {
+        conditions.push({ price: { [operator]: Number(query[param]) } })
+      }
+    }
+
+    for (const [param, operator] of [['expiringAfter', '$gte'], ['expiringBefore', '$lt']]) {
+      if (query[param] !== undefined) {
+        conditions.push({ expirationDate: { [operator]: new Date(query[param]) } })
+      }
+    }
+
+    if (query.expiring === 'soon' && fridges.length > 0) {
+      // Each fridge has its own expiry warning, falling back to the one of its owner.
+      const owners = await User.find({ _id: { $in: fridges.map(fridge => fridge.ownerId) } }).select('expiryWarning')
+      const ownerWarnings = new Map(owners.map(owner => [owner.id, owner.expiryWarning]))
+      const now = Date.now()
+
+      conditions.push({
+        $or: fridges.map(fridge => ({
+          fridgeId: fridge._id,
+          ...this.#expiringSoonCondition(now, fridge.expiryWarning, ownerWarnings.get(fridge.ownerId.toString()))
+        }))
+      })
+    } else if (query.expiring && query.expiring !== 'soon') {
+      const match = /^within:(\d+(?:\.\d+)?)([dh])$/.exec(query.expiring)
+      if (!match) {
+        throw invalidRequest([{ in: 'query', field: 'expiring', message: 'must be "soon" or "within:<number>d" or "within:<number>h", for example "within:3d"' }])
+      }
+
+      const now = Date.now()
+      const within = Number(match[1]) * (match[2] === 'd' ? DAY : HOUR)
+      conditions.push({ expirationDate: { $gte: new Date(now), $lt: new Date(now + within) } })
+    }
+
+    return conditions
+  }
+
+  /**
+   * Creates a query condition matching products within their expiry warning.
+   * Categories with their own warning get a condition each, all other products share one.
+   *
+   * @param {number} now - The current time in milliseconds.
+   * @param {...object} warnings - Expiry warning settings, the first one defining a category wins.
+   * @returns {object} The query condition.
+   */
+  #expiringSoonCondition (now, ...warnings) {
+    const categories = [...new Set(warnings.flatMap(warning => [...(warning?.categories?.keys() ?? [])]))]
+
+    return {
+      $or: [
+        ...categories.map(category => ({ category, days: warningDays(category, ...warnings) })),
+        { category: { $nin: categories }, days: warningDays(undefined, ...warnings) }
+      ].map(({ category, days }) => ({
+        category,
+        expirationDate: { $gte: new Date(now), $lt: new Date(now + days * DAY) }
+      }))
+    }
+  }
+
+  /**
+   * Parses the `sort` query parameter, such as `expirationDate` or `-price,name`.
+   * Products are sorted by expiration date if no order is given, and by id last so pages are stable.
+   * `relevance` sorts the best matches of a text search first.
+   *
+   * @param {string} [sort] - The sort query parameter.
+   * @param {boolean} [textSearch] - Whether the products are searched by text, allowing sorting by relevance.
+   * @returns {object|null} The sort for Mongoose, or null if the parameter is invalid.
+   */
+  #sort (sort = 'expirationDate', textSearch = false) {
+    const order = {}
+    for (const field of `${sort}`.split(',')) {
+      const name = field.replace(/^[-+ ]/, '')
+      if (name === 'relevance' && textSearch) {
+        order.score = { $meta: 'textScore' }
+      } else if (SORTABLE_FIELDS.includes(name)) {
+        order[name] = field.startsWith('-') ? -1 : 1
       } else {
-        next(error)
+        return null
       }
     }
+    order._id = 1
+
+    return order
   }
 }
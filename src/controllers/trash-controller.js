@@ -0,0 +1,197 @@
+/**
+ * Module for trash controller.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import mongoose from 'mongoose'
+import { Fridge } from '../models/fridge.js'
+import { Product } from '../models/product.js'
+import { TrashItem, TrashItemTypes } from '../models/trash-item.js'
+import { WebhookEvents } from '../models/webhook-subscription.js'
+import { TrashService, RestoreResults } from '../services/trash.js'
+import { WebhookService } from '../services/webhook.js'
+import { pagination, pageLinks } from '../utils/pagination.js'
+import { ErrorCodes } from '../utils/errors.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class TrashController {
+  /**
+   * Sends a JSON response containing the deleted fridges and products the user can restore, newest first.
+   * The listing can be limited to one `type`, fridge or product.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findAll (req, res, next) {
+    try {
+      const { page, limit, skip } = pagination(req.query)
+
+      const trashService = new TrashService()
+      const filter = await trashService.userFilter(req.user.id)
+      if (req.query.type) {
+        filter.type = req.query.type
+      }
+
+      const total = await TrashItem.countDocuments(filter)
+      const items = await TrashItem.find(filter)
+        .select('-data')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+
+      res.json({
+        itemsWithLinks: items.map(item => this.#toItemWithLinks(item)),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        links: [
+          ...pageLinks('/api/v1/trash', req.query, total),
+          { rel: 'DELETE empty trash', href: '/api/v1/trash' }
+        ]
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Restores a fridge or product from the trash.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async restore (req, res, next) {
+    try {
+      const item = await this.#findItem(req, true)
+      if (!item) {
+        next(createError(404, 'Item not existing in trash', { code: ErrorCodes.TRASH_ITEM_NOT_FOUND }))
+        return
+      }
+
+      const trashService = new TrashService()
+      const result = await trashService.restore(item)
+      if (result === RestoreResults.NAME_TAKEN) {
+        next(createError(409, 'Fridge with this name already exists, rename or delete it before restoring.', { code: ErrorCodes.FRIDGE_NAME_TAKEN }))
+        return
+      }
+      if (result === RestoreResults.GONE) {
+        next(createError(409, item.type === TrashItemTypes.PRODUCT
+          ? 'The fridge of the product no longer exists, restore the fridge first.'
+          : 'The item was restored or purged by someone else.', { code: ErrorCodes.TRASH_ITEM_NOT_RESTORABLE }))
+        return
+      }
+
+      let href = `/api/v1/fridge/${item.fridgeId}`
+      if (item.type === TrashItemTypes.PRODUCT) {
+        href = `/api/v1/fridge/${item.fridgeId}/product/${item.itemId}`
+
+        const fridge = await Fridge.findById(item.fridgeId)
+        const product = await Product.findById(item.itemId)
+        const webhookService = new WebhookService()
+        webhookService.emit(fridge, WebhookEvents.PRODUCT_CREATED, { fridgeId: fridge._id, product })
+      }
+
+      res.json({
+        type: item.type,
+        id: item.itemId,
+        name: item.name,
+        links: [
+          { rel: `GET restored ${item.type}`, href },
+          { rel: 'GET trash', href: '/api/v1/trash' }
+        ]
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Permanently deletes a fridge or product in the trash.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async purge (req, res, next) {
+    try {
+      const item = await this.#findItem(req)
+      if (!item) {
+        next(createError(404, 'Item not existing in trash', { code: ErrorCodes.TRASH_ITEM_NOT_FOUND }))
+        return
+      }
+
+      const trashService = new TrashService()
+      await trashService.purge(item)
+
+      res
+        .status(204)
+        .end()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Permanently deletes every fridge and product in the trash the user can see.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async purgeAll (req, res, next) {
+    try {
+      const trashService = new TrashService()
+      const items = await TrashItem.find(await trashService.userFilter(req.user.id)).select('-data')
+      for (const item of items) {
+        await trashService.purge(item)
+      }
+
+      res
+        .status(204)
+        .end()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Finds the item in `req.params.id` among the items in the trash the user can see.
+   *
+   * @param {object} req - Express request object.
+   * @param {boolean} [withData] - Whether to load the stored documents of the item, needed to restore it.
+   * @returns {Promise<TrashItem|null>} The item, or null if not found.
+   */
+  async #findItem (req, withData = false) {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return null
+    }
+
+    const trashService = new TrashService()
+    const filter = await trashService.userFilter(req.user.id)
+    const query = TrashItem.findOne({ $and: [{ _id: req.params.id }, filter] })
+    return withData ? query : query.select('-data')
+  }
+
+  /**
+   * Converts an item in the trash to a JSON object with HATEOAS links.
+   *
+   * @param {TrashItem} item - The item.
+   * @returns {object} The item with links.
+   */
+  #toItemWithLinks (item) {
+    const itemWithLinks = item.toJSON() // Convert Mongoose document to JSON object
+    itemWithLinks.links = [
+      { rel: 'POST restore item', href: `/api/v1/trash/${item._id}/restore` },
+      { rel: 'DELETE permanently delete item', href: `/api/v1/trash/${item._id}` }
+    ]
+    return itemWithLinks
+  }
+}
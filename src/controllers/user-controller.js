@@ -5,16 +5,29 @@
  * @version 1.0.0
  */
 
-import jwt from 'jsonwebtoken'
+import crypto from 'crypto'
 import createError from 'http-errors'
 import { User } from '../models/user.js'
+import { Fridge } from '../models/fridge.js'
+import { RefreshToken } from '../models/refresh-token.js'
+import { PasswordResetToken } from '../models/password-reset-token.js'
+import { DEFAULT_PERMISSION_LEVEL } from '../middleware/auth.js'
+import { DEFAULT_WARNING_DAYS } from '../models/expiry-warning.js'
+import { TokenService } from '../services/token.js'
+import { FridgeService } from '../services/fridge.js'
+import { MailService } from '../services/mail.js'
+import { StatsService, StatsIntervals, statsPeriod } from '../services/stats.js'
+import { AccountArchiveService, ImportModes } from '../services/account-archive.js'
+import { ErrorCodes } from '../utils/errors.js'
+import { TrashService } from '../services/trash.js'
+import { CatalogService } from '../services/catalog.js'
 
 /**
  * Encapsulates a controller.
  */
 export class UserController {
   /**
-   * Authenticates a user. If valid login will return a token.
+   * Authenticates a user. If valid login will return an access token and a refresh token.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -24,41 +37,88 @@ export class UserController {
     try {
       const user = await User.authenticate(req.body.username, req.body.password)
 
-      const payload = {
-        sub: user.username,
-        given_name: user.firstName,
-        family_name: user.lastName,
-        email: user.email,
-        id: user.id,
-        x_permission_level: user.permissionLevel
-      }
-
-      // Create the access token.
-      // Not creating a refresh token
-      const accessToken = jwt.sign(payload, process.env.PRIVATE_KEY, {
-        algorithm: 'RS256',
-        expiresIn: process.env.ACCESS_TOKEN_LIFE
-      })
+      const tokenService = new TokenService()
+      const { accessToken, refreshToken } = await tokenService.issue(user)
 
       res
         .status(200)
         .json({
           token: accessToken,
+          refreshToken,
           username: user.username,
           links: [
             { rel: 'GET your fridges', href: '/api/v1/fridge' },
-            { rel: 'POST add new fridge', href: '/api/v1/fridge' }
+            { rel: 'POST add new fridge', href: '/api/v1/fridge' },
+            { rel: 'POST refresh access token', href: '/api/v1/user/refresh' },
+            { rel: 'POST log out', href: '/api/v1/user/logout' }
           ]
         })
     } catch (error) {
       // Authentication failed.
-      const err = createError(401)
+      const err = createError(401, { code: ErrorCodes.INVALID_CREDENTIALS })
       err.cause = error
 
       next(err)
     }
   }
 
+  /**
+   * Exchanges a refresh token for a new access token and refresh token.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async refresh (req, res, next) {
+    try {
+      const tokenService = new TokenService()
+      const { accessToken, refreshToken } = await tokenService.rotate(req.body.refreshToken)
+
+      res
+        .status(200)
+        .json({
+          token: accessToken,
+          refreshToken,
+          links: [
+            { rel: 'GET your fridges', href: '/api/v1/fridge' },
+            { rel: 'POST refresh access token', href: '/api/v1/user/refresh' },
+            { rel: 'POST log out', href: '/api/v1/user/logout' }
+          ]
+        })
+    } catch (error) {
+      // Refreshing failed.
+      const err = createError(401, { code: ErrorCodes.INVALID_REFRESH_TOKEN })
+      err.cause = error
+
+      next(err)
+    }
+  }
+
+  /**
+   * Logs out a user, revoking the access token used and the given refresh token.
+   * With `all` set in the request body every session of the user is ended.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async logout (req, res, next) {
+    try {
+      const tokenService = new TokenService()
+      if (req.body.all === true) {
+        await tokenService.revokeAll(req.user.id)
+      } else {
+        await tokenService.revoke(req.user, req.body.refreshToken)
+      }
+
+      res
+        .status(204)
+        .end()
+    } catch (error) {
+      next(error)
+    }
+  }
+
   /**
    * Registers a user.
    *
@@ -68,14 +128,14 @@ export class UserController {
    */
   async register (req, res, next) {
     try {
-      // default permission level is 1, can change if needed.
+      // default permission level lets the user read, create, update and delete their own fridges.
       const user = new User({
         username: req.body.username,
         password: req.body.password,
         firstName: req.body.firstName,
         lastName: req.body.lastName,
         email: req.body.email,
-        permissionLevel: 1
+        permissionLevel: DEFAULT_PERMISSION_LEVEL
       })
 
       await user.save()
@@ -93,15 +153,418 @@ export class UserController {
 
       if (err.code === 11000) {
         // Duplicated keys.
-        err = createError(409, 'Email or username busy')
+        err = createError(409, 'Email or username busy', { code: ErrorCodes.USERNAME_OR_EMAIL_TAKEN })
         err.cause = error
-      } else if (error.name === 'ValidationError') {
-        // Validation error(s).
-        err = createError(400, 'Must provide username, password, firstName, lastName and email')
+      }
+
+      next(err)
+    }
+  }
+
+  /**
+   * Starts a password reset, mailing a single-use reset token to the user.
+   * Responds the same whether or not the email belongs to a user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async forgotPassword (req, res, next) {
+    try {
+      const user = await User.findOne({ email: req.body.email.toLowerCase() })
+      if (user) {
+        // Only the latest reset token can be used.
+        await PasswordResetToken.deleteMany({ userId: user._id, usedAt: { $exists: false } })
+
+        const token = crypto.randomBytes(32).toString('base64url')
+        const life = Number(process.env.PASSWORD_RESET_TOKEN_LIFE || 60 * 60)
+        await PasswordResetToken.create({
+          userId: user._id,
+          tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+          expiresAt: new Date(Date.now() + life * 1000)
+        })
+
+        const mailService = new MailService()
+        await mailService.send({
+          to: user.email,
+          subject: 'Reset your Fridgetracker password',
+          text: `Hi ${user.firstName},\n\n` +
+            'Someone asked to reset the password of your Fridgetracker account. ' +
+            `If it was you, send a POST request to /api/v1/user/password/reset with this token and your new password within ${Math.round(life / 60)} minutes:\n\n` +
+            `${token}\n\n` +
+            'If it was not you, you can ignore this mail.'
+        })
+      }
+
+      res
+        .status(202)
+        .json({
+          message: 'If the email belongs to an account, a reset token has been sent to it.',
+          links: [
+            { rel: 'POST reset password', href: '/api/v1/user/password/reset' }
+          ]
+        })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sets a new password using a reset token. The token can only be used once, and every session is ended.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async resetPassword (req, res, next) {
+    try {
+      const tokenHash = crypto.createHash('sha256').update(req.body.token).digest('hex')
+      const validToken = { tokenHash, usedAt: { $exists: false }, expiresAt: { $gt: new Date() } }
+
+      const resetToken = await PasswordResetToken.findOne(validToken)
+      const user = resetToken && await User.findById(resetToken.userId)
+      if (!user) {
+        next(createError(400, 'Bad request: Invalid or expired token.', { code: ErrorCodes.INVALID_RESET_TOKEN }))
+        return
+      }
+
+      // Validate the new password before using up the token.
+      user.password = req.body.password
+      await user.validate()
+
+      // Mark the token as used in the same operation as finding it, so it can only be used once.
+      if (!(await PasswordResetToken.findOneAndUpdate(validToken, { usedAt: new Date() }))) {
+        next(createError(400, 'Bad request: Invalid or expired token.', { code: ErrorCodes.INVALID_RESET_TOKEN }))
+        return
+      }
+
+      await user.save()
+
+      const tokenService = new TokenService()
+      await tokenService.revokeAll(user._id)
+
+      res
+        .status(204)
+        .end()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing the profile of the user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findMe (req, res, next) {
+    try {
+      const user = await User.findById(req.user.id)
+      if (!user) {
+        next(createError(404, 'User not existing', { code: ErrorCodes.USER_NOT_FOUND }))
+        return
+      }
+
+      res.json(this.#toProfileWithLinks(user))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Partially edits the profile of the user, that is first name, last name and/or email.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async patchMe (req, res, next) {
+    try {
+      const user = await User.findById(req.user.id)
+      if (!user) {
+        next(createError(404, 'User not existing', { code: ErrorCodes.USER_NOT_FOUND }))
+        return
+      }
+
+      // If not valid request - no changes
+      if (req.body.firstName !== undefined) {
+        user.firstName = req.body.firstName
+      }
+      if (req.body.lastName !== undefined) {
+        user.lastName = req.body.lastName
+      }
+      if (req.body.email !== undefined) {
+        user.email = req.body.email
+      }
+      await user.save()
+
+      res.json(this.#toProfileWithLinks(user))
+    } catch (error) {
+      let err = error
+
+      if (err.code === 11000) {
+        // Duplicated keys.
+        err = createError(409, 'Email busy', { code: ErrorCodes.EMAIL_TAKEN })
         err.cause = error
       }
 
       next(err)
     }
   }
+
+  /**
+   * Deletes the account of the user. Fridges the user is the only owner of are deleted
+   * together with their products, the user is removed from fridges shared with others.
+   * Fridges in the trash no one else owned are purged.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async deleteMe (req, res, next) {
+    try {
+      const user = await User.findById(req.user.id)
+      if (!user) {
+        next(createError(404, 'User not existing', { code: ErrorCodes.USER_NOT_FOUND }))
+        return
+      }
+
+      const fridgeService = new FridgeService()
+      await fridgeService.removeUser(user._id)
+
+      const trashService = new TrashService()
+      await trashService.removeUser(user._id)
+
+      const catalogService = new CatalogService()
+      await catalogService.removeUser(user._id)
+
+      const tokenService = new TokenService()
+      await tokenService.revokeAll(user._id)
+      await RefreshToken.deleteMany({ userId: user._id })
+
+      await user.deleteOne()
+
+      res
+        .status(204)
+        .end()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Changes the password of the user. Every session is ended and new tokens are returned.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async changePassword (req, res, next) {
+    try {
+      let user
+      try {
+        user = await User.authenticate(req.user.username, req.body.currentPassword)
+      } catch (error) {
+        const err = createError(403, 'Current password is wrong.', { code: ErrorCodes.WRONG_PASSWORD })
+        err.cause = error
+        next(err)
+        return
+      }
+
+      user.password = req.body.newPassword
+      await user.save()
+
+      const tokenService = new TokenService()
+      await tokenService.revokeAll(user._id)
+      const { accessToken, refreshToken } = await tokenService.issue(user)
+
+      res.json({
+        token: accessToken,
+        refreshToken,
+        links: [
+          { rel: 'GET your profile', href: '/api/v1/user/me' },
+          { rel: 'GET your fridges', href: '/api/v1/fridge' }
+        ]
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing the expiry warning settings of the user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findExpiryWarning (req, res, next) {
+    try {
+      const user = await User.findById(req.user.id)
+      if (!user) {
+        next(createError(404, 'User not existing', { code: ErrorCodes.USER_NOT_FOUND }))
+        return
+      }
+
+      res.json({
+        expiryWarning: user.expiryWarning?.toJSON() ?? {},
+        defaultDays: DEFAULT_WARNING_DAYS,
+        links: [
+          { rel: 'PUT replace expiry warning settings', href: '/api/v1/user/me/expiry-warning' },
+          { rel: 'GET your fridges', href: '/api/v1/fridge' }
+        ]
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Replaces the expiry warning settings of the user, used for fridges without their own settings.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async replaceExpiryWarning (req, res, next) {
+    try {
+      const user = await User.findById(req.user.id)
+      if (!user) {
+        next(createError(404, 'User not existing', { code: ErrorCodes.USER_NOT_FOUND }))
+        return
+      }
+
+      user.expiryWarning = {
+        days: req.body.days,
+        categories: req.body.categories
+      }
+      await user.save()
+
+      res.json({
+        expiryWarning: user.expiryWarning?.toJSON() ?? {},
+        defaultDays: DEFAULT_WARNING_DAYS,
+        links: [
+          { rel: 'GET expiry warning settings', href: '/api/v1/user/me/expiry-warning' },
+          { rel: 'GET your fridges', href: '/api/v1/fridge' }
+        ]
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing statistics of the products consumed and wasted in every fridge the user is a member of.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async stats (req, res, next) {
+    try {
+      const period = statsPeriod(req.query)
+      if (!period) {
+        next(createError(400, `Bad request: from and to must be dates with from before to, and interval one of ${Object.values(StatsIntervals).join(', ')}.`, { code: ErrorCodes.INVALID_PERIOD }))
+        return
+      }
+
+      const fridgeService = new FridgeService()
+      const fridges = await Fridge.find(await fridgeService.memberFilter(req.user.id)).select('_id')
+
+      const statsService = new StatsService()
+      const stats = await statsService.summarize(fridges.map(fridge => fridge._id), period)
+
+      stats.links = [
+        { rel: 'GET your fridges', href: '/api/v1/fridge' },
+        { rel: 'GET your profile', href: '/api/v1/user/me' }
+      ]
+
+      res.json(stats)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends an archive of the settings of the user and the fridges the user owns, with their products and webhooks.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async exportAccount (req, res, next) {
+    try {
+      const user = await User.findById(req.user.id)
+      if (!user) {
+        next(createError(404, 'User not existing', { code: ErrorCodes.USER_NOT_FOUND }))
+        return
+      }
+
+      const archiveService = new AccountArchiveService()
+      const archive = await archiveService.export(user)
+
+      res
+        .attachment(`fridgetracker-${user.username}-${archive.exportedAt.toISOString().slice(0, 10)}.json`)
+        .json(archive)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Restores an archive created by `exportAccount` into the account of the user,
+   * merging it with the fridges of the user (`?mode=merge`, default) or replacing them (`?mode=replace`).
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async importAccount (req, res, next) {
+    try {
+      const mode = req.query.mode || ImportModes.MERGE
+
+      const user = await User.findById(req.user.id)
+      if (!user) {
+        next(createError(404, 'User not existing', { code: ErrorCodes.USER_NOT_FOUND }))
+        return
+      }
+
+      const archiveService = new AccountArchiveService()
+      const result = await archiveService.import(user, req.body, mode)
+      if (result.errors) {
+        next(createError(400, 'Bad request: The archive is invalid, nothing was imported.', { code: ErrorCodes.INVALID_ARCHIVE, errors: result.errors }))
+        return
+      }
+
+      result.links = [
+        { rel: 'GET your fridges', href: '/api/v1/fridge' },
+        { rel: 'GET export your account', href: '/api/v1/user/me/export' }
+      ]
+
+      res.json(result)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Converts a user to a profile JSON object with HATEOAS links.
+   *
+   * @param {User} user - The user document.
+   * @returns {object} The profile with links.
+   */
+  #toProfileWithLinks (user) {
+    const profileWithLinks = user.toJSON() // Convert Mongoose document to JSON object
+    profileWithLinks.links = [
+      { rel: 'PATCH partially edit your profile', href: '/api/v1/user/me' },
+      { rel: 'POST change your password', href: '/api/v1/user/me/password' },
+      { rel: 'DELETE your account', href: '/api/v1/user/me' },
+      { rel: 'GET your expiry warning settings', href: '/api/v1/user/me/expiry-warning' },
+      { rel: 'GET export your account', href: '/api/v1/user/me/export' },
+      { rel: 'GET your fridges', href: '/api/v1/fridge' }
+    ]
+
+    return profileWithLinks
+  }
 }
@@ -0,0 +1,257 @@
+/**
+ * Module for webhook controller.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import mongoose from 'mongoose'
+import { WebhookDelivery } from '../models/webhook-delivery.js'
+import { WebhookSubscription } from '../models/webhook-subscription.js'
+import { WebhookService } from '../services/webhook.js'
+import { ErrorCodes } from '../utils/errors.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class WebhookController {
+  /**
+   * Sends a JSON response containing all webhooks of a fridge.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findAll (req, res, next) {
+    try {
+      const subscriptions = await WebhookSubscription.find({ fridgeId: req.fridge._id })
+
+      const webhooksWithLinks = subscriptions.map(subscription => this.#toWebhookWithLinks(req.fridge._id, subscription))
+
+      res.json({
+        webhooksWithLinks,
+        links: [
+          { rel: 'POST add webhook to this fridge', href: `/api/v1/fridge/${req.fridge._id}/webhooks` },
+          { rel: 'GET webhook deliveries of this fridge', href: `/api/v1/fridge/${req.fridge._id}/webhook/deliveries` },
+          { rel: 'GET fridge', href: `/api/v1/fridge/${req.fridge._id}` }
+        ]
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing a certain webhook by id.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findById (req, res, next) {
+    try {
+      const subscription = await this.#findSubscription(req)
+      if (!subscription) {
+        next(createError(404, 'Webhook not existing', { code: ErrorCodes.WEBHOOK_NOT_FOUND }))
+        return
+      }
+
+      res.json(this.#toWebhookWithLinks(req.fridge._id, subscription))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Creates a new webhook subscribed to the given events.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async create (req, res, next) {
+    try {
+      const subscription = new WebhookSubscription({
+        fridgeId: req.fridge._id,
+        url: req.body.url,
+        secret: req.body.secret,
+        events: req.body.events
+      })
+
+      await subscription.save()
+
+      res
+        .status(201)
+        .json(this.#toWebhookWithLinks(req.fridge._id, subscription))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Updates the url, secret and/or events of a webhook.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async update (req, res, next) {
+    try {
+      const subscription = await this.#findSubscription(req)
+      if (!subscription) {
+        next(createError(404, 'Webhook not existing', { code: ErrorCodes.WEBHOOK_NOT_FOUND }))
+        return
+      }
+
+      if (req.body.url !== undefined) {
+        subscription.url = req.body.url
+      }
+      if (req.body.secret !== undefined) {
+        subscription.secret = req.body.secret
+      }
+      if (req.body.events !== undefined) {
+        subscription.events = req.body.events
+      }
+      await subscription.save()
+
+      res.json(this.#toWebhookWithLinks(req.fridge._id, subscription))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Deletes a webhook.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async delete (req, res, next) {
+    try {
+      const subscription = await this.#findSubscription(req)
+      if (!subscription) {
+        next(createError(404, 'Webhook not existing', { code: ErrorCodes.WEBHOOK_NOT_FOUND }))
+        return
+      }
+
+      await subscription.deleteOne()
+
+      res
+        .status(204)
+        .end()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing the latest webhook deliveries of a fridge.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findDeliveries (req, res, next) {
+    try {
+      const deliveries = await WebhookDelivery.find({ fridgeId: req.fridge._id })
+        .sort({ createdAt: -1 })
+        .limit(100)
+
+      const deliveriesWithLinks = deliveries.map(delivery => {
+        const deliveryWithLinks = delivery.toJSON() // Convert Mongoose document to JSON object
+        deliveryWithLinks.links = [
+          { rel: 'POST redeliver this delivery', href: `/api/v1/fridge/${req.fridge._id}/webhook/deliveries/${delivery._id}/redeliver` }
+        ]
+
+        return deliveryWithLinks
+      })
+
+      res.json({
+        deliveriesWithLinks,
+        links: [
+          { rel: 'GET fridge', href: `/api/v1/fridge/${req.fridge._id}` },
+          { rel: 'GET webhooks of this fridge', href: `/api/v1/fridge/${req.fridge._id}/webhooks` }
+        ]
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Sends an earlier webhook delivery again.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async redeliver (req, res, next) {
+    try {
+      const original = mongoose.isValidObjectId(req.params.deliveryId)
+        ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, fridgeId: req.fridge._id })
+        : null
+
+      if (!original) {
+        next(createError(404, 'Delivery not existing', { code: ErrorCodes.DELIVERY_NOT_FOUND }))
+        return
+      }
+
+      const subscription = await WebhookSubscription.findById(original.subscriptionId)
+      if (!subscription) {
+        next(createError(409, 'The webhook of this delivery no longer exists.', { code: ErrorCodes.WEBHOOK_DELETED }))
+        return
+      }
+
+      const webhookService = new WebhookService()
+      const delivery = await webhookService.redeliver(subscription, original)
+
+      const deliveryWithLinks = delivery.toJSON() // Convert Mongoose document to JSON object
+      deliveryWithLinks.links = [
+        { rel: 'GET all deliveries of this fridge', href: `/api/v1/fridge/${req.fridge._id}/webhook/deliveries` },
+        { rel: 'POST redeliver this delivery', href: `/api/v1/fridge/${req.fridge._id}/webhook/deliveries/${delivery._id}/redeliver` }
+      ]
+
+      // The delivery is sent in the background.
+      res
+        .status(202)
+        .json(deliveryWithLinks)
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  /**
+   * Finds the webhook in `req.params.webhookId` of the requested fridge.
+   *
+   * @param {object} req - Express request object.
+   * @returns {Promise<WebhookSubscription|null>} The webhook, or null if not found.
+   */
+  async #findSubscription (req) {
+    if (!mongoose.isValidObjectId(req.params.webhookId)) {
+      return null
+    }
+
+    return WebhookSubscription.findOne({ _id: req.params.webhookId, fridgeId: req.fridge._id })
+  }
+
+  /**
+   * Converts a webhook to a JSON object with HATEOAS links.
+   *
+   * @param {string} fridgeId - The id of the fridge.
+   * @param {WebhookSubscription} subscription - The webhook subscription document.
+   * @returns {object} The webhook with links.
+   */
+  #toWebhookWithLinks (fridgeId, subscription) {
+    const webhookWithLinks = subscription.toJSON() // Convert Mongoose document to JSON object
+    webhookWithLinks.links = [
+      { rel: 'GET this webhook', href: `/api/v1/fridge/${fridgeId}/webhooks/${subscription._id}` },
+      { rel: 'PATCH edit webhook', href: `/api/v1/fridge/${fridgeId}/webhooks/${subscription._id}` },
+      { rel: 'DELETE webhook', href: `/api/v1/fridge/${fridgeId}/webhooks/${subscription._id}` },
+      { rel: 'GET webhook deliveries of this fridge', href: `/api/v1/fridge/${fridgeId}/webhook/deliveries` }
+    ]
+
+    return webhookWithLinks
+  }
+}
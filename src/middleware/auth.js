@@ -0,0 +1,183 @@
+/**
+ * Authentication and authorization middleware.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import jwt from 'jsonwebtoken'
+import createError from 'http-errors'
+import mongoose from 'mongoose'
+import { Fridge } from '../models/fridge.js'
+import { Product } from '../models/product.js'
+import { Membership, FridgeRoles } from '../models/membership.js'
+import { TokenService } from '../services/token.js'
+import { ErrorCodes } from '../utils/errors.js'
+
+/**
+ * Permission levels stored as bit flags in `User.permissionLevel`.
+ */
+export const PermissionLevels = Object.freeze({
+  READ: 1,
+  CREATE: 2,
+  UPDATE: 4,
+  DELETE: 8,
+  ADMIN: 16
+})
+
+/**
+ * Permission level given to newly registered users.
+ */
+export const DEFAULT_PERMISSION_LEVEL = PermissionLevels.READ | PermissionLevels.CREATE | PermissionLevels.UPDATE | PermissionLevels.DELETE
+
+/**
+ * Fridge roles ranked by the rights they grant, each role includes the rights of the roles below it.
+ */
+const roleRanks = Object.freeze({
+  [FridgeRoles.VIEWER]: 1,
+  [FridgeRoles.EDITOR]: 2,
+  [FridgeRoles.OWNER]: 3
+})
+
+/**
+ * Checks if a membership grants at least a fridge role.
+ *
+ * @param {Membership|null} membership - The membership, or null if the user is not a member.
+ * @param {string} role - The lowest fridge role allowed.
+ * @returns {boolean} True if the membership has the role or a higher one.
+ */
+export const hasFridgeRole = (membership, role) => Boolean(membership) && roleRanks[membership.role] >= roleRanks[role]
+
+/**
+ * Authenticates requests.
+ *
+ * If authentication is successful, `req.user`is populated and the
+ * request is authorized to continue.
+ * If authentication fails, or the token has been revoked, an
+ * unauthorized response will be sent.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ */
+export const authenticateJWT = async (req, res, next) => {
+  try {
+    const [authenticationScheme, token] = req.headers.authorization?.split(' ')
+
+    if (authenticationScheme !== 'Bearer') {
+      throw new Error('Invalid authentication scheme.')
+    }
+
+    const payload = jwt.verify(token, process.env.PUBLIC_KEY)
+
+    if (await new TokenService().isRevoked(payload)) {
+      throw new Error('Token has been revoked.')
+    }
+
+    req.user = {
+      username: payload.sub,
+      firstName: payload.given_name,
+      lastName: payload.family_name,
+      email: payload.email,
+      id: payload.id,
+      permissionLevel: payload.x_permission_level,
+      tokenId: payload.jti,
+      tokenExpiresAt: payload.exp
+    }
+
+    next()
+  } catch (err) {
+    const error = createError(401)
+    error.cause = err
+    next(error)
+  }
+}
+
+/**
+ * Authorize requests.
+ *
+ * If authorization is successful, that is the user is granted access
+ * to the requested resource, the request is authorized to continue.
+ * If authentication fails, a forbidden response will be sent.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ * @param {number} permissionLevel - The permission level flag(s) required.
+ */
+export const hasPermission = (req, res, next, permissionLevel) => {
+  (req.user?.permissionLevel & permissionLevel) === permissionLevel
+    ? next()
+    : next(createError(403))
+}
+
+/**
+ * Authorizes access to a fridge.
+ *
+ * Loads the fridge from `req.fridgeId` (product and member routes) or
+ * `req.params.id` (fridge routes) into `req.fridge` and the user's role in
+ * it into `req.fridgeRole`. Responds with 404 if the fridge does not exist
+ * and with 403 if the user is not a member with at least the given role.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ * @param {string} [role] - The lowest fridge role allowed, defaults to viewer.
+ */
+export const authorizeFridge = async (req, res, next, role = FridgeRoles.VIEWER) => {
+  try {
+    const fridgeId = req.fridgeId || req.params.id
+    if (!mongoose.isValidObjectId(fridgeId)) {
+      next(createError(404, 'Fridge not existing', { code: ErrorCodes.FRIDGE_NOT_FOUND }))
+      return
+    }
+
+    const fridge = await Fridge.findById(fridgeId)
+    if (!fridge) {
+      next(createError(404, 'Fridge not existing', { code: ErrorCodes.FRIDGE_NOT_FOUND }))
+      return
+    }
+
+    const membership = await Membership.findForUser(fridge, req.user?.id)
+    if (!hasFridgeRole(membership, role)) {
+      next(createError(403))
+      return
+    }
+
+    req.fridge = fridge
+    req.fridgeRole = membership.role
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Authorizes access to a product in the fridge loaded by `authorizeFridge`.
+ *
+ * Loads the product from `req.params.id` into `req.product`. Responds with
+ * 404 if the product does not exist or does not belong to the fridge.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ */
+export const authorizeProduct = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      next(createError(404, 'Product not existing', { code: ErrorCodes.PRODUCT_NOT_FOUND }))
+      return
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, fridgeId: req.fridge._id })
+    if (!product) {
+      next(createError(404, 'Product not existing', { code: ErrorCodes.PRODUCT_NOT_FOUND }))
+      return
+    }
+
+    req.product = product
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Conditional request middleware, using the versions of documents as entity tags.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto'
+import createError from 'http-errors'
+import { Product } from '../models/product.js'
+import { ErrorCodes } from '../utils/errors.js'
+
+/**
+ * Creates the entity tag of a document from its version.
+ *
+ * @param {object} document - The product document.
+ * @returns {string} The strong entity tag, for example `"3"`.
+ */
+export const etag = (document) => `"${document.__v}"`
+
+/**
+ * Creates the entity tag of a fridge from its version and the versions of its products,
+ * as fridges are sent with the names and expiration dates of their products.
+ *
+ * @param {object} fridge - The fridge document, its products may be populated.
+ * @returns {Promise<string>} The strong entity tag, for example `"3-5f2a9c01d4e8b7a6"`.
+ */
+export const fridgeETag = async (fridge) => {
+  const products = await Product.find({ _id: { $in: fridge.populated('products') ?? fridge.products } })
+    .select('__v')
+    .sort({ _id: 1 })
+  const versions = products.map(product => `${product.id}:${product.__v}`).join(',')
+  const digest = crypto.createHash('sha1').update(versions).digest('hex').slice(0, 16)
+  return `"${fridge.__v}-${digest}"`
+}
+
+/**
+ * Sets the ETag header of a response to the entity tag of a document. Express answers
+ * GET requests with 304 Not Modified when the tag is in their If-None-Match header.
+ *
+ * @param {object} res - Express response object.
+ * @param {object} document - The product document.
+ */
+export const setETag = (res, document) => {
+  res.set('ETag', etag(document))
+}
+
+/**
+ * Sets the ETag header of a response to the entity tag of a fridge.
+ *
+ * @param {object} res - Express response object.
+ * @param {object} fridge - The fridge document.
+ */
+export const setFridgeETag = async (res, fridge) => {
+  res.set('ETag', await fridgeETag(fridge))
+}
+
+/**
+ * Checks the If-Match header of a request against the document loaded by the authorization middleware.
+ * A fridge is checked against the tag including the versions of its products.
+ *
+ * The request continues if the header is missing, is `*` or lists the entity tag of the
+ * document, otherwise it is answered with 412 Precondition Failed. Weak tags never match.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ * @param {string} name - The name of the document in `req`, 'fridge' or 'product'.
+ */
+export const checkIfMatch = async (req, res, next, name) => {
+  try {
+    const header = req.get('If-Match')
+    if (header === undefined || header.trim() === '*') {
+      next()
+      return
+    }
+
+    const document = req[name]
+    const tag = name === 'fridge' ? await fridgeETag(document) : etag(document)
+    if (!header.split(',').map(listed => listed.trim()).includes(tag)) {
+      res.set('ETag', tag)
+      next(createError(412, `The ${name} has been changed, get it again and retry with its current ETag.`, { code: ErrorCodes.VERSION_MISMATCH }))
+      return
+    }
+
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Correlation ids and problem details error responses.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto'
+import http from 'http'
+import { toHttpError } from '../utils/errors.js'
+
+/**
+ * The header carrying the correlation id of a request.
+ */
+export const CORRELATION_ID_HEADER = 'X-Correlation-Id'
+
+/**
+ * Creates the type URI of a problem from its code, for example `urn:fridgetracker:problem:fridge-name-taken`.
+ *
+ * @param {string} code - The error code.
+ * @returns {string} The type URI.
+ */
+export const problemType = (code) => `urn:fridgetracker:problem:${code.toLowerCase().replace(/_/g, '-')}`
+
+/**
+ * Gives each request a correlation id in `req.correlationId`, returned in the
+ * X-Correlation-Id response header and in error responses. A correlation id sent
+ * by the client is kept, so requests can be traced across services.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ */
+export const correlationId = (req, res, next) => {
+  const header = req.get(CORRELATION_ID_HEADER)
+  req.correlationId = /^[\w-]{1,128}$/.test(header ?? '') ? header : crypto.randomUUID()
+  res.set(CORRELATION_ID_HEADER, req.correlationId)
+  next()
+}
+
+/**
+ * Sends errors as RFC 7807 problem details, with the content type application/problem+json.
+ *
+ * Besides the standard members, problems have a `code` from `ErrorCodes` in utils/errors.js, the
+ * `correlationId` of the request and, for invalid requests, `errors` listing each
+ * invalid field. Internal errors are logged with the correlation id, their details
+ * are only sent in development.
+ *
+ * @param {Error} error - The error.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ */
+export const sendProblem = (error, req, res, next) => {
+  const err = toHttpError(error)
+  const development = req.app.get('env') === 'development'
+
+  if (err.status >= 500) {
+    console.error(`Request ${req.correlationId} failed: ${err.cause?.stack ?? err.stack}`)
+  }
+
+  const problem = {
+    type: problemType(err.code),
+    title: http.STATUS_CODES[err.status] ?? http.STATUS_CODES[500],
+    status: err.status,
+    detail: err.expose ? err.message : http.STATUS_CODES[err.status],
+    instance: req.originalUrl,
+    code: err.code,
+    correlationId: req.correlationId,
+    // Field errors of invalid requests, or the errors of each invalid item of a batch.
+    errors: Array.isArray(err.errors) ? err.errors : undefined
+  }
+
+  // Development only!
+  // Only providing detailed error in development.
+  if (development) {
+    problem.detail = err.message
+    problem.cause = err.cause
+      ? {
+          status: err.cause.status,
+          message: err.cause.message,
+          stack: err.cause.stack
+        }
+      : null
+    problem.stack = err.stack
+  }
+
+  res
+    .status(err.status)
+    .type('application/problem+json')
+    .send(JSON.stringify(problem))
+}
@@ -0,0 +1,138 @@
+/**
+ * Request validation middleware.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import Ajv from 'ajv'
+import addFormats from 'ajv-formats'
+import createError from 'http-errors'
+import { ErrorCodes, invalidRequest } from '../utils/errors.js'
+import { isValidGtin } from '../utils/barcode.js'
+
+// Schemas are written in the OpenAPI dialect of JSON Schema, so they can be used in the API documentation as they are.
+// Alternatives may require properties that are only defined by the schema containing them.
+const ajv = new Ajv({ allErrors: true, strict: true, strictRequired: false, verbose: true })
+addFormats(ajv)
+// Barcodes, checked with their check digit.
+ajv.addFormat('gtin', isValidGtin)
+
+/**
+ * Parts of a request that can be validated, in the order they are validated.
+ */
+const REQUEST_PARTS = Object.freeze(['params', 'query', 'body'])
+
+/**
+ * Converts an Ajv error to a field error.
+ *
+ * @param {string} part - The validated part of the request, 'params', 'query' or 'body'.
+ * @param {object} error - The Ajv error.
+ * @returns {{ in: string, field: string, message: string }} The field error. The field is a dotted path, empty for the whole part.
+ */
+const toFieldError = (part, error) => {
+  const path = error.instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+
+  let message = error.message
+  if (error.keyword === 'required') {
+    path.push(error.params.missingProperty)
+    message = 'is required'
+  } else if (error.keyword === 'additionalProperties') {
+    path.push(error.params.additionalProperty)
+    message = 'is not allowed'
+  } else if (error.keyword === 'enum') {
+    message = `must be one of ${error.params.allowedValues.join(', ')}`
+  } else if ((error.keyword === 'anyOf' || error.keyword === 'oneOf') && error.parentSchema.description) {
+    message = `must be ${error.parentSchema.description}`
+  }
+
+  return { in: part, field: path.join('.'), message }
+}
+
+/**
+ * Validates data against a compiled schema.
+ *
+ * @param {string} part - The validated part of the request, 'params', 'query' or 'body'.
+ * @param {Function} validator - The compiled schema.
+ * @param {*} data - The data.
+ * @returns {{ in: string, field: string, message: string }[]} The field errors, none if the data is valid.
+ */
+const fieldErrors = (part, validator, data) => {
+  if (validator(data)) {
+    return []
+  }
+
+  // The errors of each alternative are replaced by the error saying none of them matched.
+  const alternatives = validator.errors
+    .filter(error => error.keyword === 'anyOf' || error.keyword === 'oneOf')
+    .map(error => `${error.schemaPath}/`)
+  return validator.errors
+    .filter(error => !alternatives.some(path => error.schemaPath.startsWith(path)))
+    .map(error => toFieldError(part, error))
+}
+
+/**
+ * Validates a document built by the server, such as a patched document, against a schema.
+ *
+ * @param {object} schema - The schema.
+ * @param {*} document - The document.
+ * @throws {Error} A 400 error listing the invalid fields of the body if the document does not match.
+ */
+export const validateDocument = (schema, document) => {
+  const errors = fieldErrors('body', ajv.compile(schema), document)
+  if (errors.length > 0) {
+    throw invalidRequest(errors)
+  }
+}
+
+/**
+ * Creates middleware validating the params, query string and body of requests against schemas.
+ *
+ * Schemas should set `additionalProperties: false`, so unknown fields are rejected. Requests that do
+ * not match get a 400 response listing each bad field and the reason in `errors`.
+ *
+ * Routes accepting bodies of several content types give a schema per media type in `content`, as
+ * in OpenAPI, instead of `body`. Bodies of other content types get a 415 response, and requests
+ * without a body or content type are validated against the schema of the first media type.
+ *
+ * @param {object} schemas - The schemas.
+ * @param {object} [schemas.params] - The schema of `req.params`.
+ * @param {object} [schemas.query] - The schema of `req.query`.
+ * @param {object} [schemas.body] - The schema of `req.body`.
+ * @param {object} [schemas.content] - The schemas of `req.body` by media type.
+ * @returns {Function} The Express middleware.
+ */
+export const validate = (schemas) => {
+  const validators = REQUEST_PARTS
+    .filter(part => schemas[part])
+    .map(part => [part, ajv.compile(schemas[part])])
+  const mediaTypes = Object.keys(schemas.content ?? {})
+  const contentValidators = Object.fromEntries(mediaTypes.map(type => [type, ajv.compile(schemas.content[type])]))
+
+  return (req, res, next) => {
+    const requestValidators = [...validators]
+    if (mediaTypes.length > 0) {
+      // Null if the request has no body, false if it has no content type or none of the media types.
+      const type = req.is(...mediaTypes)
+      if (type === false && req.get('Content-Type') !== undefined) {
+        next(createError(415, `Unsupported media type, the body must be ${mediaTypes.join(', ')}.`, { code: ErrorCodes.UNSUPPORTED_MEDIA_TYPE }))
+        return
+      }
+      requestValidators.push(['body', contentValidators[type || mediaTypes[0]]])
+    }
+
+    const errors = []
+    for (const [part, validator] of requestValidators) {
+      // A request without a body is validated as an empty object, so required fields are reported.
+      const data = part === 'body' && req.body === undefined ? {} : req[part]
+      errors.push(...fieldErrors(part, validator, data))
+    }
+
+    if (errors.length > 0) {
+      next(invalidRequest(errors))
+      return
+    }
+
+    next()
+  }
+}
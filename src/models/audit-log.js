@@ -0,0 +1,62 @@
+/**
+ * Mongoose model for the audit log of admin actions.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  actorUsername: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: false
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.index({ createdAt: -1 })
+schema.index({ targetId: 1, createdAt: -1 })
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+// Create a model using the schema.
+export const AuditLog = mongoose.model('AuditLog', schema)
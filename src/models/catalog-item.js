@@ -0,0 +1,86 @@
+/**
+ * Mongoose model for the product catalog, filling in new products by their barcode.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+import { Units } from '../utils/units.js'
+import { isValidGtin } from '../utils/barcode.js'
+
+/**
+ * Where a catalog item comes from. Learned items are created from the products users add,
+ * items edited by an admin are never changed by learning.
+ */
+export const CatalogSources = Object.freeze({
+  ADMIN: 'admin',
+  LEARNED: 'learned'
+})
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  barcode: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: isValidGtin,
+      message: 'Barcode must be a GTIN with a correct check digit.'
+    }
+  },
+  name: {
+    type: String,
+    required: true,
+    maxLength: [256, 'Too long name...'],
+    trim: true
+  },
+  category: {
+    type: String,
+    required: false
+  },
+  shelfLifeDays: {
+    type: Number,
+    required: false,
+    min: [0, 'Shelf life can not be negative.']
+  },
+  unit: {
+    type: String,
+    required: false,
+    enum: {
+      values: Object.values(Units),
+      message: `Unit must be one of ${Object.values(Units).join(', ')}.`
+    }
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: Object.values(CatalogSources),
+    default: CatalogSources.LEARNED
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+// Catalog items are searched by the words in their name.
+schema.index({ name: 'text' })
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+// Create a model using the schema.
+export const CatalogItem = mongoose.model('CatalogItem', schema)
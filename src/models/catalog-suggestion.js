@@ -0,0 +1,51 @@
+/**
+ * Mongoose model for catalog suggestions, what each user added a barcode as before the catalog learns it.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+import { Units } from '../utils/units.js'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  barcode: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: true,
+    maxLength: [256, 'Too long name...'],
+    trim: true
+  },
+  category: {
+    type: String,
+    required: false
+  },
+  shelfLifeDays: {
+    type: Number,
+    required: false,
+    min: [0, 'Shelf life can not be negative.']
+  },
+  unit: {
+    type: String,
+    required: false,
+    enum: Object.values(Units)
+  }
+}, {
+  timestamps: true
+})
+
+// Each user has one suggestion per barcode, from the latest product the user added with it.
+schema.index({ barcode: 1, userId: 1 }, { unique: true })
+schema.index({ userId: 1 })
+
+// Create a model using the schema.
+export const CatalogSuggestion = mongoose.model('CatalogSuggestion', schema)
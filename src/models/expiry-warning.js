@@ -0,0 +1,68 @@
+/**
+ * Mongoose schema for expiry warning settings, shared by fridges and users.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+/**
+ * Days before expiration a product is warned about when nothing else is configured.
+ */
+export const DEFAULT_WARNING_DAYS = 1
+
+// Create a schema.
+export const expiryWarningSchema = new mongoose.Schema({
+  days: {
+    type: Number,
+    required: false,
+    min: [0, 'Warning days can not be negative.']
+  },
+  categories: {
+    type: Map,
+    of: {
+      type: Number,
+      min: [0, 'Warning days can not be negative.']
+    },
+    required: false
+  }
+}, { _id: false })
+
+/**
+ * Resolves how many days before expiration a product should be warned about.
+ * The settings are checked in order, a category specific value is used before the general value of the same settings.
+ *
+ * @param {string} [category] - The category of the product.
+ * @param {...object} warnings - Expiry warning settings, most specific first (for example fridge, then user).
+ * @returns {number} The number of days.
+ */
+export const warningDays = (category, ...warnings) => {
+  for (const warning of warnings) {
+    const categoryDays = category ? warning?.categories?.get(category) : undefined
+    if (categoryDays !== undefined) {
+      return categoryDays
+    }
+    if (warning?.days !== undefined) {
+      return warning.days
+    }
+  }
+  return DEFAULT_WARNING_DAYS
+}
+
+/**
+ * Finds the largest number of warning days any product could get from the given settings.
+ *
+ * @param {...object} warnings - Expiry warning settings.
+ * @returns {number} The number of days.
+ */
+export const maxWarningDays = (...warnings) => {
+  const days = [DEFAULT_WARNING_DAYS]
+  for (const warning of warnings) {
+    if (warning?.days !== undefined) {
+      days.push(warning.days)
+    }
+    days.push(...(warning?.categories?.values() ?? []))
+  }
+  return Math.max(...days)
+}
@@ -6,6 +6,31 @@
  */
 
 import mongoose from 'mongoose'
+import { expiryWarningSchema } from './expiry-warning.js'
+
+// The temperatures a fridge should keep, readings outside them raise an alert.
+const temperatureRangeSchema = new mongoose.Schema({
+  min: {
+    type: Number,
+    required: false
+  },
+  max: {
+    type: Number,
+    required: false,
+    validate: {
+      /**
+       * Checks that the range is not empty.
+       *
+       * @param {number} max - The highest allowed temperature.
+       * @returns {boolean} True if there is no lowest temperature, or it is not above the highest.
+       */
+      validator: function (max) {
+        return this.min === undefined || this.min === null || this.min <= max
+      },
+      message: 'Temperature range min can not be above max.'
+    }
+  }
+}, { _id: false })
 
 // Create a schema.
 const schema = new mongoose.Schema({
@@ -35,16 +60,22 @@ const schema = new mongoose.Schema({
     type: Number,
     required: false
   },
-  webhookUrl: {
-    type: String,
+  temperatureRange: {
+    type: temperatureRangeSchema,
     required: false
   },
-  webhookSecret: {
-    type: String,
+  temperatureAlertSince: {
+    type: Date,
+    required: false
+  },
+  expiryWarning: {
+    type: expiryWarningSchema,
     required: false
   }
 }, {
   timestamps: true,
+  // Saving checks that the document has not been changed since it was loaded, and increments its version.
+  optimisticConcurrency: true,
   toJSON: {
     /**
      * Performs a transformation of the resulting object to remove sensitive information.
@@ -54,6 +85,8 @@ const schema = new mongoose.Schema({
      */
     transform: function (doc, ret) {
       delete ret._id
+      // The version is also the ETag of the document, see the conditional middleware.
+      ret.version = ret.__v
       delete ret.__v
     },
     virtuals: true // ensure virtual fields are serialized
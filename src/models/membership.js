@@ -0,0 +1,80 @@
+/**
+ * Mongoose model for fridge memberships.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+/**
+ * Roles a user can have in a shared fridge.
+ */
+export const FridgeRoles = Object.freeze({
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer'
+})
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  fridgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Fridge'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: Object.values(FridgeRoles),
+    default: FridgeRoles.VIEWER
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.index({ fridgeId: 1, userId: 1 }, { unique: true })
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+/**
+ * Finds the membership of a user in a fridge.
+ *
+ * Fridges created before memberships existed only have an `ownerId`, the
+ * owner membership is created for them the first time it is looked up.
+ *
+ * @param {object} fridge - The fridge document.
+ * @param {string} userId - The id of the user.
+ * @returns {Promise<Membership|null>} The membership, or null if the user is not a member.
+ */
+schema.statics.findForUser = async function (fridge, userId) {
+  const membership = await this.findOne({ fridgeId: fridge._id, userId })
+  if (membership || fridge.ownerId.toString() !== userId) {
+    return membership
+  }
+
+  return this.create({ fridgeId: fridge._id, userId, role: FridgeRoles.OWNER })
+}
+
+// Create a model using the schema.
+export const Membership = mongoose.model('Membership', schema)
@@ -0,0 +1,26 @@
+/**
+ * Mongoose model for the data migrations applied to the database.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false
+  }
+}, {
+  timestamps: true
+})
+
+// Create a model using the schema.
+export const Migration = mongoose.model('Migration', schema)
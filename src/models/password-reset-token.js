@@ -0,0 +1,39 @@
+/**
+ * Mongoose model for password reset tokens.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    required: false
+  }
+}, {
+  timestamps: true
+})
+
+// Let MongoDB remove expired reset tokens.
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+schema.index({ userId: 1 })
+
+// Create a model using the schema.
+export const PasswordResetToken = mongoose.model('PasswordResetToken', schema)
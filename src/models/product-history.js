@@ -0,0 +1,119 @@
+/**
+ * Mongoose model for the history of products removed from fridges.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+import { Units } from '../utils/units.js'
+
+/**
+ * Reasons a product can be removed from a fridge for.
+ */
+export const RemovalReasons = Object.freeze({
+  CONSUMED: 'consumed',
+  WASTED: 'wasted',
+  MOVED: 'moved'
+})
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  fridgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Fridge'
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: Object.values(RemovalReasons)
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    required: false
+  },
+  price: {
+    type: Number,
+    required: false
+  },
+  quantity: {
+    type: Number,
+    required: false
+  },
+  unit: {
+    type: String,
+    required: false,
+    enum: Object.values(Units)
+  },
+  expirationDate: {
+    type: Date,
+    required: false
+  },
+  removedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.index({ fridgeId: 1, removedAt: 1 })
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+/**
+ * Records that a product is removed from its fridge.
+ *
+ * @param {object} product - The product document.
+ * @param {string} reason - The reason, one of `RemovalReasons`.
+ * @param {string} [userId] - The id of the user removing the product.
+ * @param {object} [options] - Options for saving, such as the `session` of a transaction.
+ * @returns {Promise<ProductHistory>} The history entry.
+ */
+schema.statics.record = function (product, reason, userId, options) {
+  return new this({
+    fridgeId: product.fridgeId,
+    productId: product._id,
+    userId,
+    reason,
+    name: product.name,
+    category: product.category,
+    price: product.price,
+    quantity: product.quantity,
+    unit: product.unit,
+    expirationDate: product.expirationDate
+  }).save(options)
+}
+
+// Create a model using the schema.
+export const ProductHistory = mongoose.model('ProductHistory', schema)
@@ -6,6 +6,7 @@
  */
 
 import mongoose from 'mongoose'
+import { Units } from '../utils/units.js'
 
 // Create a schema.
 const schema = new mongoose.Schema({
@@ -29,9 +30,39 @@ const schema = new mongoose.Schema({
   category: {
     type: String,
     required: false
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Quantity can not be negative.'],
+    default: 1
+  },
+  unit: {
+    type: String,
+    required: true,
+    enum: {
+      values: Object.values(Units),
+      message: `Unit must be one of ${Object.values(Units).join(', ')}.`
+    },
+    default: Units.PIECES
+  },
+  // GTIN-14 the product was added by, see the catalog.
+  barcode: {
+    type: String,
+    required: false
+  },
+  expiringNotifiedAt: {
+    type: Date,
+    required: false
+  },
+  expiredNotifiedAt: {
+    type: Date,
+    required: false
   }
 }, {
   timestamps: true,
+  // Saving checks that the document has not been changed since it was loaded, and increments its version.
+  optimisticConcurrency: true,
   toJSON: {
     /**
      * Performs a transformation of the resulting object to remove sensitive information.
@@ -41,15 +72,31 @@ const schema = new mongoose.Schema({
      */
     transform: function (doc, ret) {
       delete ret._id
+      // The version is also the ETag of the document, see the conditional middleware.
+      ret.version = ret.__v
       delete ret.__v
+      // Only used by the expiry sweep to notify each product once.
+      delete ret.expiringNotifiedAt
+      delete ret.expiredNotifiedAt
     },
     virtuals: true // ensure virtual fields are serialized
   }
 })
 
+// Products are searched by the words in their name.
+schema.index({ name: 'text' })
+
 schema.virtual('id').get(function () {
   return this._id.toHexString()
 })
 
+// A new expiration date means the product has not been notified as expiring or expired yet.
+schema.pre('save', function () {
+  if (this.isModified('expirationDate')) {
+    this.expiringNotifiedAt = undefined
+    this.expiredNotifiedAt = undefined
+  }
+})
+
 // Create a model using the schema.
 export const Product = mongoose.model('Product', schema)
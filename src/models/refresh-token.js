@@ -0,0 +1,44 @@
+/**
+ * Mongoose model for refresh tokens.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    required: false
+  }
+}, {
+  timestamps: true
+})
+
+// Let MongoDB remove expired refresh tokens.
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+schema.index({ userId: 1 })
+schema.index({ family: 1 })
+
+// Create a model using the schema.
+export const RefreshToken = mongoose.model('RefreshToken', schema)
@@ -0,0 +1,29 @@
+/**
+ * Mongoose model for revoked access tokens.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+// Access tokens can not be used after they expire, so their revocation is removed then.
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Create a model using the schema.
+export const RevokedToken = mongoose.model('RevokedToken', schema)
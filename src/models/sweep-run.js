@@ -0,0 +1,61 @@
+/**
+ * Mongoose model for runs of the expiry sweep.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    required: true,
+    enum: ['schedule', 'manual']
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date,
+    required: false
+  },
+  fridgesNotified: {
+    type: Number,
+    default: 0
+  },
+  productsNotified: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    required: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.index({ startedAt: -1 })
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+// Create a model using the schema.
+export const SweepRun = mongoose.model('SweepRun', schema)
@@ -0,0 +1,55 @@
+/**
+ * Mongoose model for temperature readings of fridges.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  fridgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Fridge'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false,
+    ref: 'User'
+  },
+  temperature: {
+    type: Number,
+    required: [true, 'Temperature is required.']
+  },
+  recordedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.index({ fridgeId: 1, recordedAt: 1 })
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+// Create a model using the schema.
+export const TemperatureReading = mongoose.model('TemperatureReading', schema)
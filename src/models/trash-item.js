@@ -0,0 +1,92 @@
+/**
+ * Mongoose model for deleted fridges and products kept in the trash.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+/**
+ * Kinds of items in the trash.
+ */
+export const TrashItemTypes = Object.freeze({
+  FRIDGE: 'fridge',
+  PRODUCT: 'product'
+})
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: Object.values(TrashItemTypes)
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  fridgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  ownerIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    required: false,
+    ref: 'User'
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false,
+    ref: 'User'
+  },
+  historyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+      delete ret.data
+      delete ret.historyId
+      delete ret.ownerIds
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.index({ expiresAt: 1 })
+schema.index({ ownerIds: 1 })
+schema.index({ fridgeId: 1 })
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+schema.virtual('deletedAt').get(function () {
+  return this.createdAt
+})
+
+// Create a model using the schema.
+export const TrashItem = mongoose.model('TrashItem', schema)
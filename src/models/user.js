@@ -8,6 +8,7 @@
 import bcrypt from 'bcrypt'
 import mongoose from 'mongoose'
 import validator from 'validator'
+import { expiryWarningSchema } from './expiry-warning.js'
 
 const { isEmail } = validator
 
@@ -43,7 +44,19 @@ const schema = new mongoose.Schema({
     maxLength: [256, 'The password must be of maximum length 256 characters.'],
     required: [true, 'Password is required.']
   },
-  permissionLevel: Number
+  permissionLevel: Number,
+  tokensValidAfter: {
+    type: Date,
+    required: false
+  },
+  lockedAt: {
+    type: Date,
+    required: false
+  },
+  expiryWarning: {
+    type: expiryWarningSchema,
+    required: false
+  }
 }, {
   timestamps: true,
   toJSON: {
@@ -56,6 +69,8 @@ const schema = new mongoose.Schema({
     transform: function (doc, ret) {
       delete ret._id
       delete ret.__v
+      delete ret.password
+      delete ret.tokensValidAfter
     },
     virtuals: true // ensure virtual fields are serialized
   }
@@ -65,9 +80,11 @@ schema.virtual('id').get(function () {
   return this._id.toHexString()
 })
 
-// Salts and hashes password before save.
+// Salts and hashes password before save, unless it is already hashed.
 schema.pre('save', async function () {
-  this.password = await bcrypt.hash(this.password, 10)
+  if (this.isModified('password')) {
+    this.password = await bcrypt.hash(this.password, 10)
+  }
 })
 
 /**
@@ -85,6 +102,11 @@ schema.statics.authenticate = async function (username, password) {
     throw new Error('Invalid credentials.')
   }
 
+  // Locked accounts can not log in.
+  if (user.lockedAt) {
+    throw new Error('Account is locked.')
+  }
+
   // User found and password correct, return the user.
   return user
 }
@@ -0,0 +1,133 @@
+/**
+ * Mongoose model for webhook deliveries.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+
+/**
+ * States a delivery can be in.
+ */
+export const DeliveryStatus = Object.freeze({
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+})
+
+/**
+ * Days deliveries are kept, unless WEBHOOK_DELIVERY_RETENTION_DAYS is set.
+ */
+export const DEFAULT_DELIVERY_RETENTION_DAYS = 30
+
+/**
+ * Finds the time deliveries are kept before MongoDB removes them.
+ *
+ * @returns {number} The retention, in milliseconds.
+ */
+export const deliveryRetention = () =>
+  Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS ?? DEFAULT_DELIVERY_RETENTION_DAYS) * 24 * 60 * 60 * 1000
+
+/**
+ * Finds when a delivery created now is removed.
+ *
+ * @returns {Date} The end of the retention period.
+ */
+const expiryDate = () => new Date(Date.now() + deliveryRetention())
+
+// Create a schema for a single attempt to deliver.
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    required: false
+  },
+  error: {
+    type: String,
+    required: false
+  },
+  duration: {
+    type: Number,
+    required: false
+  }
+}, { _id: false })
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  fridgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Fridge'
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false,
+    ref: 'WebhookSubscription'
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(DeliveryStatus),
+    default: DeliveryStatus.PENDING
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+  nextAttemptAt: {
+    type: Date,
+    required: false
+  },
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false,
+    ref: 'WebhookDelivery'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: expiryDate
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.index({ fridgeId: 1, createdAt: -1 })
+schema.index({ status: 1, nextAttemptAt: 1 })
+// Let MongoDB remove deliveries once their retention period has passed.
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+// Create a model using the schema.
+export const WebhookDelivery = mongoose.model('WebhookDelivery', schema)
@@ -0,0 +1,86 @@
+/**
+ * Mongoose model for webhook subscriptions.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+import validator from 'validator'
+import { isPublicUrl } from '../utils/network.js'
+
+/**
+ * Events a webhook can subscribe to.
+ */
+export const WebhookEvents = Object.freeze({
+  PRODUCT_CREATED: 'product.created',
+  PRODUCT_DELETED: 'product.deleted',
+  PRODUCT_EXPIRING_SOON: 'product.expiring_soon',
+  PRODUCT_EXPIRED: 'product.expired',
+  FRIDGE_TEMPERATURE_CHANGED: 'fridge.temperature_changed',
+  FRIDGE_TEMPERATURE_ALERT: 'fridge.temperature_alert'
+})
+
+/**
+ * Checks that a URL can be called by a webhook. Hosts in the internal network can not be called,
+ * unless they are listed in WEBHOOK_ALLOWED_HOSTS.
+ *
+ * @param {string} url - The URL.
+ * @returns {boolean} True if the URL is a valid http(s) URL of a public host.
+ */
+const isWebhookUrl = (url) => validator.isURL(`${url}`, {
+  protocols: ['http', 'https'],
+  require_protocol: true,
+  require_tld: false
+}) && isPublicUrl(`${url}`)
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  fridgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Fridge'
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook url is required.'],
+    trim: true,
+    validate: [isWebhookUrl, 'Please provide a valid http or https url of a public host.']
+  },
+  secret: {
+    type: String,
+    required: [true, 'Webhook secret is required.']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: Object.values(WebhookEvents)
+    }],
+    validate: [(events) => events.length > 0, 'At least one event is required.']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+      delete ret.secret
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.index({ fridgeId: 1, events: 1 })
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+// Create a model using the schema.
+export const WebhookSubscription = mongoose.model('WebhookSubscription', schema)
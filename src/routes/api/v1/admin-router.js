@@ -0,0 +1,400 @@
+/* eslint-disable jsdoc/check-indentation */
+/* eslint-disable jsdoc/check-tag-names */
+/**
+ * Admin routes, only for users with the ADMIN permission level.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import express from 'express'
+import { AdminController } from '../../../controllers/admin-controller.js'
+import { authenticateJWT, hasPermission, PermissionLevels } from '../../../middleware/auth.js'
+import { validate } from '../../../middleware/validate.js'
+import { adminFridgeParams, adminFridgesQuery, adminUserParams, adminUsersQuery, auditLogQuery, catalogItemBody, catalogItemParams, catalogQuery, consistencyCheckQuery, lockUserBody, permissionLevelBody } from '../../../schemas/admin.js'
+import { noBody, noQuery } from '../../../schemas/common.js'
+
+export const router = express.Router()
+
+const controller = new AdminController()
+
+router.use(
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.ADMIN)
+)
+
+// -------
+// ROUTES:
+// -------
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     tags:
+ *       - admin
+ *     description: returns users, optionally searched by username, name or email
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *       - name: q
+ *         description: text to search for in username, first name, last name and email
+ *         in: query
+ *         required: false
+ *       - name: locked
+ *         description: true for only locked users, false for only unlocked users
+ *         in: query
+ *         required: false
+ *       - name: page
+ *         description: page number, starting at 1
+ *         in: query
+ *         required: false
+ *       - name: limit
+ *         description: users per page, default 20 and at most 100
+ *         in: query
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Returns users
+ *       403:
+ *         description: User is not an admin
+ */
+router.get('/users', validate({ query: adminUsersQuery }), (req, res, next) => controller.findUsers(req, res, next))
+
+/**
+ * @swagger
+ * /admin/users/:userId:
+ *   get:
+ *     tags:
+ *       - admin
+ *     description: returns user and the fridges the user is a member of
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Returns user
+ *       404:
+ *         description: User not existing
+ */
+router.get('/users/:userId', validate({ params: adminUserParams, query: noQuery }), (req, res, next) => controller.findUser(req, res, next))
+
+/**
+ * @swagger
+ * /admin/users/:userId/lock:
+ *   post:
+ *     tags:
+ *       - admin
+ *     description: locks user account, the user is logged out and can not log in until unlocked
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserLock'
+ *     responses:
+ *       200:
+ *         description: Returns locked user
+ *       409:
+ *         description: Admins can not lock their own account
+ */
+router.post('/users/:userId/lock', validate({ params: adminUserParams, query: noQuery, body: lockUserBody }), (req, res, next) => controller.lockUser(req, res, next))
+
+/**
+ * @swagger
+ * /admin/users/:userId/unlock:
+ *   post:
+ *     tags:
+ *       - admin
+ *     description: unlocks user account
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Returns unlocked user
+ */
+router.post('/users/:userId/unlock', validate({ params: adminUserParams, query: noQuery, body: noBody }), (req, res, next) => controller.unlockUser(req, res, next))
+
+/**
+ * @swagger
+ * /admin/users/:userId/permission-level:
+ *   patch:
+ *     tags:
+ *       - admin
+ *     description: changes permission level of user, the user must log in again to get the new level
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PermissionLevel'
+ *     responses:
+ *       200:
+ *         description: Returns updated user
+ *       400:
+ *         description: Invalid permission level
+ *       409:
+ *         description: Admins can not remove their own admin permission
+ */
+router.patch('/users/:userId/permission-level', validate({ params: adminUserParams, query: noQuery, body: permissionLevelBody }), (req, res, next) => controller.changePermissionLevel(req, res, next))
+
+/**
+ * @swagger
+ * /admin/fridges:
+ *   get:
+ *     tags:
+ *       - admin
+ *     description: returns fridges of all users
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *       - name: ownerId
+ *         description: only return fridges owned by this user
+ *         in: query
+ *         required: false
+ *       - name: page
+ *         description: page number, starting at 1
+ *         in: query
+ *         required: false
+ *       - name: limit
+ *         description: fridges per page, default 20 and at most 100
+ *         in: query
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Returns fridges
+ */
+router.get('/fridges', validate({ query: adminFridgesQuery }), (req, res, next) => controller.findFridges(req, res, next))
+
+/**
+ * @swagger
+ * /admin/fridges/:id:
+ *   get:
+ *     tags:
+ *       - admin
+ *     description: returns any fridge with its products and members
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Returns fridge
+ *       404:
+ *         description: Fridge not existing
+ */
+router.get('/fridges/:id', validate({ params: adminFridgeParams, query: noQuery }), (req, res, next) => controller.findFridge(req, res, next))
+
+/**
+ * @swagger
+ * /admin/catalog:
+ *   get:
+ *     tags:
+ *       - admin
+ *     description: returns the product catalog, which fills in products added with a barcode
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *       - name: q
+ *         description: words to search for in item names
+ *         in: query
+ *         required: false
+ *       - name: source
+ *         description: admin for only items added by admins, learned for only items learned from products
+ *         in: query
+ *         required: false
+ *       - name: page
+ *         description: page number, starting at 1
+ *         in: query
+ *         required: false
+ *       - name: limit
+ *         description: items per page, default 20 and at most 100
+ *         in: query
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Returns catalog items
+ */
+router.get('/catalog', validate({ query: catalogQuery }), (req, res, next) => controller.findCatalog(req, res, next))
+
+/**
+ * @swagger
+ * /admin/catalog/:barcode:
+ *   get:
+ *     tags:
+ *       - admin
+ *     description: returns the catalog item of a barcode
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Returns catalog item
+ *       404:
+ *         description: Catalog item not existing
+ */
+router.get('/catalog/:barcode', validate({ params: catalogItemParams, query: noQuery }), (req, res, next) => controller.findCatalogItem(req, res, next))
+
+/**
+ * @swagger
+ * /admin/catalog/:barcode:
+ *   put:
+ *     tags:
+ *       - admin
+ *     description: creates or replaces the catalog item of a barcode, learning from products no longer changes it
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CatalogItem'
+ *     responses:
+ *       200:
+ *         description: Returns replaced catalog item
+ *       201:
+ *         description: Returns created catalog item
+ */
+router.put('/catalog/:barcode', validate({ params: catalogItemParams, query: noQuery, body: catalogItemBody }), (req, res, next) => controller.putCatalogItem(req, res, next))
+
+/**
+ * @swagger
+ * /admin/catalog/:barcode:
+ *   delete:
+ *     tags:
+ *       - admin
+ *     description: deletes the catalog item of a barcode, it is learned again from the next product added with the barcode
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Catalog item deleted
+ *       404:
+ *         description: Catalog item not existing
+ */
+router.delete('/catalog/:barcode', validate({ params: catalogItemParams, query: noQuery }), (req, res, next) => controller.deleteCatalogItem(req, res, next))
+
+/**
+ * @swagger
+ * /admin/maintenance/expiry-sweep:
+ *   post:
+ *     tags:
+ *       - admin
+ *     description: runs the expiry sweep for webhooks right away
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Returns the sweep run
+ */
+router.post('/maintenance/expiry-sweep', validate({ query: noQuery, body: noBody }), (req, res, next) => controller.runExpirySweep(req, res, next))
+
+/**
+ * @swagger
+ * /admin/maintenance/consistency-check:
+ *   post:
+ *     tags:
+ *       - admin
+ *     description: checks that products and the products lists of fridges agree, and that no records are left of deleted fridges and users
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *       - name: repair
+ *         description: if "true", the problems found are repaired
+ *         in: query
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Returns the problems found
+ */
+router.post('/maintenance/consistency-check', validate({ query: consistencyCheckQuery, body: noBody }), (req, res, next) => controller.runConsistencyCheck(req, res, next))
+
+/**
+ * @swagger
+ * /admin/audit:
+ *   get:
+ *     tags:
+ *       - admin
+ *     description: returns the audit log of admin actions, newest first
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *       - name: targetId
+ *         description: only return actions on this user, fridge or sweep run
+ *         in: query
+ *         required: false
+ *       - name: action
+ *         description: only return actions of this kind, for example "user.lock"
+ *         in: query
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Returns audit log entries
+ */
+router.get('/audit', validate({ query: auditLogQuery }), (req, res, next) => controller.findAuditLog(req, res, next))
@@ -8,82 +8,21 @@
  */
 
 import express from 'express'
-import jwt from 'jsonwebtoken'
-import createError from 'http-errors'
 import { FridgeController } from '../../../controllers/fridge-controller.js'
+import { WebhookController } from '../../../controllers/webhook-controller.js'
+import { authenticateJWT, authorizeFridge, hasPermission, PermissionLevels } from '../../../middleware/auth.js'
+import { FridgeRoles } from '../../../models/membership.js'
+import { validate } from '../../../middleware/validate.js'
+import { checkIfMatch } from '../../../middleware/conditional.js'
+import { PatchTypes } from '../../../utils/patch.js'
+import { createFridgeBody, editFridgeBody, legacyWebhookBody, replaceFridgeBody, temperatureQuery, temperatureReadingsBody } from '../../../schemas/fridge.js'
+import { deliveryParams } from '../../../schemas/webhook.js'
+import { fridgeParams, jsonPatchBody, mergePatchBody, noBody, noQuery, statsQuery } from '../../../schemas/common.js'
 
 export const router = express.Router()
 
 const controller = new FridgeController()
-
-// -------
-// HELPERS:
-// -------
-
-// Declaring variable, preparing for taking use of permissionlevels.
-// NOTE: Did not find necessary information about how to give a certain user a certain permission level when being registered, therefore giving all users with reading permission a permission to do everything.
-const PermissionLevels = Object.freeze({
-  READ: 1,
-  CREATE: 2,
-  UPDATE: 4,
-  DELETE: 8
-})
-
-/**
- * Authorize requests.
- *
- * If authorization is successful, that is the user is granted access
- * to the requested resource, the request is authorized to continue.
- * If authentication fails, a forbidden response will be sent.
- *
- * @param {object} req - Express request object.
- * @param {object} res - Express response object.
- * @param {Function} next - Express next middleware function.
- * @param {number} permissionLevel - ...
- */
-const hasPermission = (req, res, next, permissionLevel) => {
-  req.user?.permissionLevel & permissionLevel
-    ? next()
-    : next(createError(403))
-}
-
-/**
- * Authenticates requests.
- *
- * If authentication is successful, `req.user`is populated and the
- * request is authorized to continue.
- * If authentication fails, an unauthorized response will be sent.
- *
- * @param {object} req - Express request object.
- * @param {object} res - Express response object.
- * @param {Function} next - Express next middleware function.
- */
-const authenticateJWT = (req, res, next) => {
-  try {
-    const [authenticationScheme, token] = req.headers.authorization?.split(' ')
-
-    if (authenticationScheme !== 'Bearer') {
-      throw new Error('Invalid authentication scheme.')
-    }
-
-    const payload = jwt.verify(token, process.env.PUBLIC_KEY)
-
-    req.user = {
-      username: payload.sub,
-      firstName: payload.given_name,
-      lastName: payload.family_name,
-      email: payload.email,
-      id: payload.id,
-      permissionLevel: payload.x_permission_level
-    }
-
-    next()
-  } catch (err) {
-    const error = createError(401)
-    error.cause = err
-    next(error)
-  }
-}
+const webhookController = new WebhookController()
 
 // -------
 // ROUTES:
@@ -107,7 +46,7 @@ const authenticateJWT = (req, res, next) => {
  *       200:
  *         description: returns fridges with containing products
  */
-router.get('/', authenticateJWT, (req, res, next) => controller.findAll(req, res, next))
+router.get('/', authenticateJWT, validate({ query: noQuery }), (req, res, next) => controller.findAll(req, res, next))
 
 /**
  * @swagger
@@ -115,11 +54,26 @@ router.get('/', authenticateJWT, (req, res, next) => controller.findAll(req, res
  *   get:
  *     tags:
  *       - fridge
- *     description: calls all fridges with registered webhooks with their expired products
+ *     description: runs the expiry sweep right away, calling all fridges with registered webhooks with their newly expired products. The sweep also runs on a schedule, this is for admins only
  *     produces:
  *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Returns the recorded sweep run
+ *       403:
+ *         description: User is not an admin
  */
-router.get('/cleanout', (req, res, next) => controller.cleanOut(req, res, next))
+router.get('/cleanout',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.ADMIN),
+  validate({ query: noQuery }),
+  (req, res, next) => controller.cleanOut(req, res, next)
+)
 
 /**
  * @swagger
@@ -135,19 +89,22 @@ router.get('/cleanout', (req, res, next) => controller.cleanOut(req, res, next))
  *         description: Authorization header containing "Bearer " followed by access token from login
  *         in: header
  *         required: true
- *       - name: name
- *         description: chosen name for fridge
- *         in: body
- *         required: true
- *       - name: location
- *         description: location description of fridge
- *         in: body
- *         required: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FridgeCreate'
  *     responses:
  *       201:
  *         description: Created fridge, returns new fridge
  */
-router.post('/', authenticateJWT, (req, res, next) => controller.create(req, res, next))
+router.post('/',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.CREATE),
+  validate({ query: noQuery, body: createFridgeBody }),
+  (req, res, next) => controller.create(req, res, next)
+)
 
 /**
  * @swagger
@@ -163,17 +120,148 @@ router.post('/', authenticateJWT, (req, res, next) => controller.create(req, res
  *         description: Authorization header containing "Bearer " followed by access token from login
  *         in: header
  *         required: true
+ *       - name: If-None-Match
+ *         description: ETag of the fridge from an earlier response, the fridge is only sent if it has changed since
+ *         in: header
+ *         required: false
  *     responses:
  *       200:
  *         description: returns fridge with containing products
+ *       304:
+ *         description: The fridge has not changed since the ETag in If-None-Match
  */
 router.get('/:id',
   authenticateJWT,
   (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  validate({ params: fridgeParams, query: noQuery }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.VIEWER),
   (req, res, next) => controller.findById(req, res, next)
 )
 
-// Should be permission level UPDATE
+/**
+ * @swagger
+ * /fridge/:id/temperature:
+ *   get:
+ *     tags:
+ *       - fridge
+ *     description: returns temperature readings of fridge, listed a page at a time or aggregated per hour or day
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *       - name: from
+ *         description: start of period, a date or date and time - defaults to one day before to
+ *         in: query
+ *         required: false
+ *       - name: to
+ *         description: end of period, a date or date and time - defaults to now
+ *         in: query
+ *         required: false
+ *       - name: interval
+ *         description: '"hour" or "day" to get the number, min, max and average of readings per period instead of the readings'
+ *         in: query
+ *         required: false
+ *       - name: page
+ *         description: page number of readings, starting at 1
+ *         in: query
+ *         required: false
+ *       - name: limit
+ *         description: readings per page, default 20 and at most 100
+ *         in: query
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Returns readings or aggregated periods, oldest first, with the allowed range and since when the fridge has been out of it
+ *       400:
+ *         description: Invalid period
+ */
+router.get('/:id/temperature',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  validate({ params: fridgeParams, query: temperatureQuery }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.VIEWER),
+  (req, res, next) => controller.findTemperatures(req, res, next)
+)
+
+/**
+ * @swagger
+ * /fridge/:id/temperature:
+ *   post:
+ *     tags:
+ *       - fridge
+ *     description: records temperature readings of fridge, for example from a sensor - the temperature of the fridge is set to the latest reading
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TemperatureReadings'
+ *     responses:
+ *       201:
+ *         description: Readings recorded, returns current temperature and alert state
+ *       400:
+ *         description: Invalid readings, none recorded
+ *       413:
+ *         description: Too many readings
+ */
+router.post('/:id/temperature',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.CREATE),
+  validate({ params: fridgeParams, query: noQuery, body: temperatureReadingsBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.EDITOR),
+  (req, res, next) => controller.recordTemperature(req, res, next)
+)
+
+/**
+ * @swagger
+ * /fridge/:id/stats:
+ *   get:
+ *     tags:
+ *       - fridge
+ *     description: returns statistics of products consumed and wasted in fridge
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *       - name: from
+ *         description: start of period, "YYYY-MM-DD" - defaults to one year before to
+ *         in: query
+ *         required: false
+ *       - name: to
+ *         description: end of period, "YYYY-MM-DD" - defaults to now
+ *         in: query
+ *         required: false
+ *       - name: interval
+ *         description: length of the periods in trends, "day", "week" or "month" (default)
+ *         in: query
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Returns number and value of products consumed, wasted and moved, money wasted, waste rate, waste by category and trends over time
+ *       400:
+ *         description: Invalid period
+ */
+router.get('/:id/stats',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  validate({ params: fridgeParams, query: statsQuery }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.VIEWER),
+  (req, res, next) => controller.stats(req, res, next)
+)
+
 /**
  * @swagger
  * /fridge/:id:
@@ -188,36 +276,38 @@ router.get('/:id',
  *         description: Authorization header containing "Bearer " followed by access token from login
  *         in: header
  *         required: true
- *       - name: name
- *         description: name of fridge
- *         in: body
- *         required: true
- *       - name: location
- *         description: location description of fridge - required update if already existing
- *         in: body
- *         required: false
- *       - name: temperature
- *         description: temperature of fridge - required update if already existing
- *         in: body
+ *       - name: If-Match
+ *         description: ETag of the fridge from an earlier response, the request fails if the fridge has changed since
+ *         in: header
  *         required: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FridgeReplace'
  *     responses:
  *       204:
  *         description: fridge information updated
+ *       412:
+ *         description: The fridge has changed since the ETag in If-Match
  */
 router.put('/:id',
   authenticateJWT,
-  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.UPDATE),
+  validate({ params: fridgeParams, query: noQuery, body: replaceFridgeBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.EDITOR),
+  (req, res, next) => checkIfMatch(req, res, next, 'fridge'),
   (req, res, next) => controller.putEdit(req, res, next)
 )
 
-// Should be permission level UPDATE
 /**
  * @swagger
  * /fridge/:id:
  *   patch:
  *     tags:
  *       - fridge
- *     description: partially updates fridge information
+ *     description: partially updates fridge information, with the fields to change as JSON, a JSON Merge Patch or a JSON Patch
  *     produces:
  *       - application/json
  *     parameters:
@@ -225,36 +315,50 @@ router.put('/:id',
  *         description: Authorization header containing "Bearer " followed by access token from login
  *         in: header
  *         required: true
- *       - name: name
- *         description: name of fridge
- *         in: body
- *         required: false
- *       - name: location
- *         description: location description of fridge
- *         in: body
- *         required: false
- *       - name: temperature
- *         description: temperature of fridge
- *         in: body
+ *       - name: If-Match
+ *         description: ETag of the fridge from an earlier response, the request fails if the fridge has changed since
+ *         in: header
  *         required: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FridgeEdit'
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/MergePatch'
+ *         application/json-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/JsonPatch'
  *     responses:
  *       204:
  *         description: fridge information updated
+ *       409:
+ *         description: A test operation of the JSON Patch failed
+ *       412:
+ *         description: The fridge has changed since the ETag in If-Match
+ *       415:
+ *         description: The body is not application/json, application/merge-patch+json or application/json-patch+json
+ *       422:
+ *         description: An operation of the JSON Patch can not be applied
  */
 router.patch('/:id',
   authenticateJWT,
-  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.UPDATE),
+  validate({ params: fridgeParams, query: noQuery, content: { 'application/json': editFridgeBody, [PatchTypes.MERGE_PATCH]: mergePatchBody, [PatchTypes.JSON_PATCH]: jsonPatchBody } }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.EDITOR),
+  (req, res, next) => checkIfMatch(req, res, next, 'fridge'),
   (req, res, next) => controller.patchEdit(req, res, next)
 )
 
-// Should be permission level DELETE
 /**
  * @swagger
  * /fridge/:id:
  *   delete:
  *     tags:
  *       - fridge
- *     description: deletes fridge
+ *     description: moves fridge to trash together with its products, members and webhooks, owners can restore it from /trash
  *     produces:
  *       - application/json
  *     parameters:
@@ -262,25 +366,33 @@ router.patch('/:id',
  *         description: Authorization header containing "Bearer " followed by access token from login
  *         in: header
  *         required: true
+ *       - name: If-Match
+ *         description: ETag of the fridge from an earlier response, the request fails if the fridge has changed since
+ *         in: header
+ *         required: false
  *     responses:
  *       204:
- *         description: No content, fridge and containing products deleted
+ *         description: No content, fridge and containing products moved to trash
+ *       412:
+ *         description: The fridge has changed since the ETag in If-Match
  */
 router.delete('/:id',
   authenticateJWT,
-  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.DELETE),
+  validate({ params: fridgeParams, query: noQuery }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.OWNER),
+  (req, res, next) => checkIfMatch(req, res, next, 'fridge'),
   (req, res, next) => controller.delete(req, res, next)
 )
 
 // POST get webhook when fridge has expired products.
-// Should be permission level DELETE
 /**
  * @swagger
  * /fridge/:id/webhook:
  *   post:
  *     tags:
  *       - webhook
- *     description: registers webhook for expired items in particular fridge
+ *     description: registers webhook for expired items in particular fridge. Kept for existing clients, use /fridge/:id/webhooks to subscribe to other events
  *     produces:
  *       - application/json
  *     parameters:
@@ -288,19 +400,74 @@ router.delete('/:id',
  *         description: Authorization header containing "Bearer " followed by access token from login
  *         in: header
  *         required: true
- *       - name: webhookUrl
- *         description: url for webhook to be sent to
- *         in: body
- *         required: true
- *       - name: webhookSecret
- *         description: chosen secret for webhook, to be sent with webhook
- *         in: body
- *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LegacyWebhook'
  *     responses:
  *       204:
  *         description: No content, webhook was registered for specified fridge
  */
-router.post('/:id/webhook', authenticateJWT,
-  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+router.post('/:id/webhook',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.UPDATE),
+  validate({ params: fridgeParams, query: noQuery, body: legacyWebhookBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.OWNER),
   (req, res, next) => controller.registerWebhook(req, res, next)
 )
+
+/**
+ * @swagger
+ * /fridge/:id/webhook/deliveries:
+ *   get:
+ *     tags:
+ *       - webhook
+ *     description: returns the latest 100 webhook deliveries of fridge, with the result of each attempt
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Returns webhook deliveries
+ */
+router.get('/:id/webhook/deliveries',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  validate({ params: fridgeParams, query: noQuery }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.OWNER),
+  (req, res, next) => webhookController.findDeliveries(req, res, next)
+)
+
+/**
+ * @swagger
+ * /fridge/:id/webhook/deliveries/:deliveryId/redeliver:
+ *   post:
+ *     tags:
+ *       - webhook
+ *     description: sends the payload of a delivery again to the currently registered webhook
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       202:
+ *         description: Returns the new delivery, pending until it is sent in the background
+ *       409:
+ *         description: No webhook registered for fridge
+ */
+router.post('/:id/webhook/deliveries/:deliveryId/redeliver',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.UPDATE),
+  validate({ params: deliveryParams, query: noQuery, body: noBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.OWNER),
+  (req, res, next) => webhookController.redeliver(req, res, next)
+)
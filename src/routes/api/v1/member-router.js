@@ -0,0 +1,146 @@
+/* eslint-disable jsdoc/check-indentation */
+/* eslint-disable jsdoc/check-tag-names */
+/**
+ * Fridge member routes.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import express from 'express'
+import { MemberController } from '../../../controllers/member-controller.js'
+import { authenticateJWT, authorizeFridge, hasPermission, PermissionLevels } from '../../../middleware/auth.js'
+import { FridgeRoles } from '../../../models/membership.js'
+import { validate } from '../../../middleware/validate.js'
+import { changeRoleBody, inviteMemberBody, memberParams } from '../../../schemas/member.js'
+import { noQuery } from '../../../schemas/common.js'
+
+export const router = express.Router()
+
+const controller = new MemberController()
+
+// -------
+// ROUTES:
+// -------
+
+/**
+ * @swagger
+ * /fridge/:id/members:
+ *   get:
+ *     tags:
+ *       - member
+ *     description: returns all members of fridge and their roles
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Returns members of fridge
+ */
+router.get('/',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  validate({ query: noQuery }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.VIEWER),
+  (req, res, next) => controller.findAll(req, res, next)
+)
+
+/**
+ * @swagger
+ * /fridge/:id/members:
+ *   post:
+ *     tags:
+ *       - member
+ *     description: invites a user to fridge, only for fridge owners
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MemberInvite'
+ *     responses:
+ *       201:
+ *         description: Member added to fridge, returns new member
+ *       409:
+ *         description: User is already a member of fridge
+ */
+router.post('/',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.UPDATE),
+  validate({ query: noQuery, body: inviteMemberBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.OWNER),
+  (req, res, next) => controller.invite(req, res, next)
+)
+
+/**
+ * @swagger
+ * /fridge/:id/members/:userId:
+ *   patch:
+ *     tags:
+ *       - member
+ *     description: changes role of member, only for fridge owners
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MemberRole'
+ *     responses:
+ *       200:
+ *         description: Returns updated member
+ *       409:
+ *         description: Fridge would be left without owner
+ */
+router.patch('/:userId',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.UPDATE),
+  validate({ params: memberParams, query: noQuery, body: changeRoleBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.OWNER),
+  (req, res, next) => controller.changeRole(req, res, next)
+)
+
+/**
+ * @swagger
+ * /fridge/:id/members/:userId:
+ *   delete:
+ *     tags:
+ *       - member
+ *     description: removes member from fridge, owners can remove anyone and members can remove themselves
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: No content, member removed
+ *       409:
+ *         description: Fridge would be left without owner
+ */
+router.delete('/:userId',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.UPDATE),
+  validate({ params: memberParams, query: noQuery }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.VIEWER),
+  (req, res, next) => controller.remove(req, res, next)
+)
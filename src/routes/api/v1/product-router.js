@@ -8,111 +8,203 @@
  */
 
 import express from 'express'
-import jwt from 'jsonwebtoken'
-import createError from 'http-errors'
 import { ProductController } from '../../../controllers/product-controller.js'
+import { authenticateJWT, authorizeFridge, authorizeProduct, hasPermission, PermissionLevels } from '../../../middleware/auth.js'
+import { FridgeRoles } from '../../../models/membership.js'
+import { validate } from '../../../middleware/validate.js'
+import { checkIfMatch } from '../../../middleware/conditional.js'
+import { PatchTypes } from '../../../utils/patch.js'
+import { consumeProductBody, createProductBody, deleteProductBody, deleteProductQuery, editProductBody, exportProductsQuery, importProductsBody, importProductsQuery, listProductsQuery, moveProductBody, moveProductsBody, productParams, replaceProductBody } from '../../../schemas/product.js'
+import { jsonPatchBody, mergePatchBody, noQuery } from '../../../schemas/common.js'
 
 export const router = express.Router()
 
 const controller = new ProductController()
 
 // -------
-// HELPERS:
+// ROUTES:
 // -------
 
-// Declaring variable, preparing for taking use of permissionlevels.
-// NOTE: Did not find necessary information about how to give a certain user a certain permission level when being registered, therefore giving all users with reading permission a permission to do everything.
-const PermissionLevels = Object.freeze({
-  READ: 1,
-  CREATE: 2,
-  UPDATE: 4,
-  DELETE: 8
-})
-
 /**
- * Authorize requests.
- *
- * If authorization is successful, that is the user is granted access
- * to the requested resource, the request is authorized to continue.
- * If authentication fails, a forbidden response will be sent.
- *
- * @param {object} req - Express request object.
- * @param {object} res - Express response object.
- * @param {Function} next - Express next middleware function.
- * @param {number} permissionLevel - ...
+ * @swagger
+ * /fridge/:id/product:
+ *   get:
+ *     tags:
+ *       - product
+ *     description: returns a page of the products in fridge, with total count and links to the next and previous page
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *       - name: expiring
+ *         description: only return products expiring within a time, "within:3d" (days) or "within:12h" (hours), or "soon" for products within their configured expiry warning
+ *         in: query
+ *         required: false
+ *       - name: category
+ *         description: only return products in this category, can be given more than once
+ *         in: query
+ *         required: false
+ *       - name: minPrice
+ *         description: only return products costing at least this much
+ *         in: query
+ *         required: false
+ *       - name: maxPrice
+ *         description: only return products costing at most this much
+ *         in: query
+ *         required: false
+ *       - name: expiringAfter
+ *         description: only return products expiring on or after this date, "YYYY-MM-DD"
+ *         in: query
+ *         required: false
+ *       - name: expiringBefore
+ *         description: only return products expiring before this date, "YYYY-MM-DD"
+ *         in: query
+ *         required: false
+ *       - name: sort
+ *         description: order of products, one or more of expirationDate (default), price, name, category and createdAt separated by commas, prefix with "-" for descending order, for example "-price"
+ *         in: query
+ *         required: false
+ *       - name: page
+ *         description: page number, starting at 1
+ *         in: query
+ *         required: false
+ *       - name: limit
+ *         description: products per page, default 20 and at most 100
+ *         in: query
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Returns products, with total, page, limit and totalPages
+ *       400:
+ *         description: Invalid filter or sort
  */
-const hasPermission = (req, res, next, permissionLevel) => {
-  req.user?.permissionLevel & permissionLevel
-    ? next()
-    : next(createError(403))
-}
+router.get('/',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  validate({ query: listProductsQuery }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.VIEWER),
+  (req, res, next) => controller.findAll(req, res, next)
+)
 
 /**
- * Authenticates requests.
- *
- * If authentication is successful, `req.user`is populated and the
- * request is authorized to continue.
- * If authentication fails, an unauthorized response will be sent.
- *
- * @param {object} req - Express request object.
- * @param {object} res - Express response object.
- * @param {Function} next - Express next middleware function.
+ * @swagger
+ * /fridge/:id/product:
+ *   post:
+ *     tags:
+ *       - product
+ *     description: adds product to fridge, with a barcode the name, category, unit and expiration date are filled in from the product catalog when not given
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductCreate'
+ *     responses:
+ *       201:
+ *         description: Created product, returns new product id
+ *       400:
+ *         description: Invalid product, or name or expirationDate missing and not in the catalog
  */
-const authenticateJWT = (req, res, next) => {
-  try {
-    const [authenticationScheme, token] = req.headers.authorization?.split(' ')
-
-    if (authenticationScheme !== 'Bearer') {
-      throw new Error('Invalid authentication scheme.')
-    }
-
-    const payload = jwt.verify(token, process.env.PUBLIC_KEY)
-
-    req.user = {
-      username: payload.sub,
-      firstName: payload.given_name,
-      lastName: payload.family_name,
-      email: payload.email,
-      id: payload.id,
-      permissionLevel: payload.x_permission_level
-    }
-
-    next()
-  } catch (err) {
-    const error = createError(401)
-    error.cause = err
-    next(error)
-  }
-}
+router.post('/',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.CREATE),
+  validate({ query: noQuery, body: createProductBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.EDITOR),
+  (req, res, next) => controller.create(req, res, next)
+)
 
-// -------
-// ROUTES:
-// -------
+/**
+ * @swagger
+ * /fridge/:id/product/bulk:
+ *   post:
+ *     tags:
+ *       - product
+ *     description: adds several products to fridge at once, from a JSON array of products or from CSV (Content-Type text/csv) with the header row name,expirationDate,category,price,quantity,unit - if any product is invalid none are added, unless skipInvalid is true
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *       - name: skipInvalid
+ *         description: if "true", valid products are added even if other products are invalid
+ *         in: query
+ *         required: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductImport'
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       201:
+ *         description: Products added, returns added products and the errors of skipped products
+ *       400:
+ *         description: Returns validation errors of each invalid product, numbered from 1
+ *       413:
+ *         description: More than 1000 products
+ */
+router.post('/bulk',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.CREATE),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.EDITOR),
+  express.text({ type: 'text/csv', limit: '1mb' }),
+  validate({ query: importProductsQuery, body: importProductsBody }),
+  (req, res, next) => controller.importProducts(req, res, next)
+)
 
 /**
  * @swagger
- * /fridge/:id/product:
+ * /fridge/:id/product/export:
  *   get:
  *     tags:
  *       - product
- *     description: returns all products in fridge
+ *     description: exports all products in fridge as a file, in the same format as products are added in bulk
  *     produces:
  *       - application/json
+ *       - text/csv
  *     parameters:
  *       - name: Authorization
  *         description: Authorization header containing "Bearer " followed by access token from login
  *         in: header
  *         required: true
+ *       - name: format
+ *         description: '"json" (default) or "csv"'
+ *         in: query
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Returns file with products
  */
-router.get('/', authenticateJWT, (req, res, next) => controller.findAll(req, res, next))
+router.get('/export',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  validate({ query: exportProductsQuery }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.VIEWER),
+  (req, res, next) => controller.exportProducts(req, res, next)
+)
 
 /**
  * @swagger
- * /fridge/:id/product:
+ * /fridge/:id/product/move:
  *   post:
  *     tags:
  *       - product
- *     description: adds product to fridge
+ *     description: moves several products to another fridge, either all of them or none - the user must be allowed to edit both fridges
  *     produces:
  *       - application/json
  *     parameters:
@@ -120,27 +212,27 @@ router.get('/', authenticateJWT, (req, res, next) => controller.findAll(req, res
  *         description: Authorization header containing "Bearer " followed by access token from login
  *         in: header
  *         required: true
- *       - name: name
- *         description: name of product
- *         in: body
- *         required: true
- *       - name: expirationDate
- *         description: expiration date of product in format "YYYY-MM-DD"
- *         in: body
- *         required: true
- *       - name: category
- *         description: category of product
- *         in: body
- *         required: false
- *       - name: price
- *         description: price of product
- *         in: body
- *         required: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductsMove'
  *     responses:
- *       201:
- *         description: Created product, returns new product id
+ *       200:
+ *         description: Returns moved products
+ *       403:
+ *         description: User is not allowed to edit the target fridge
+ *       404:
+ *         description: A product or the target fridge not existing
  */
-router.post('/', authenticateJWT, (req, res, next) => controller.create(req, res, next))
+router.post('/move',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.UPDATE),
+  validate({ query: noQuery, body: moveProductsBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.EDITOR),
+  (req, res, next) => controller.moveMany(req, res, next)
+)
 
 /**
  * @swagger
@@ -156,17 +248,25 @@ router.post('/', authenticateJWT, (req, res, next) => controller.create(req, res
  *         description: Authorization header containing "Bearer " followed by access token from login
  *         in: header
  *         required: true
+ *       - name: If-None-Match
+ *         description: ETag of the product from an earlier response, the product is only sent if it has changed since
+ *         in: header
+ *         required: false
  *     responses:
  *       200:
  *         description: Returns product
+ *       304:
+ *         description: The product has not changed since the ETag in If-None-Match
  */
 router.get('/:id',
   authenticateJWT,
   (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  validate({ params: productParams, query: noQuery }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.VIEWER),
+  authorizeProduct,
   (req, res, next) => controller.findById(req, res, next)
 )
 
-// Should be permission level UPDATE
 /**
  * @swagger
  * /fridge/:id/product/:id:
@@ -181,40 +281,39 @@ router.get('/:id',
  *         description: Authorization header containing "Bearer " followed by access token from login
  *         in: header
  *         required: true
- *       - name: name
- *         description: name of product
- *         in: body
- *         required: true
- *       - name: expirationDate
- *         description: expiration date of product in format "YYYY-MM-DD"
- *         in: body
- *         required: true
- *       - name: category
- *         description: category of product - needs to be updated if already existing
- *         in: body
- *         required: false
- *       - name: price
- *         description: price of product - needs to be updated if already existing
- *         in: body
+ *       - name: If-Match
+ *         description: ETag of the product from an earlier response, the request fails if the product has changed since
+ *         in: header
  *         required: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductReplace'
  *     responses:
  *       204:
  *         description: Product was updated
+ *       412:
+ *         description: The product has changed since the ETag in If-Match
  */
 router.put('/:id',
   authenticateJWT,
-  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.UPDATE),
+  validate({ params: productParams, query: noQuery, body: replaceProductBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.EDITOR),
+  authorizeProduct,
+  (req, res, next) => checkIfMatch(req, res, next, 'product'),
   (req, res, next) => controller.putEdit(req, res, next)
 )
 
-// Should be permission level UPDATE
 /**
  * @swagger
  * /fridge/:id/product/:id:
  *   patch:
  *     tags:
  *       - product
- *     description: partially edits product information
+ *     description: partially edits product information, with the fields to change as JSON, a JSON Merge Patch or a JSON Patch
  *     produces:
  *       - application/json
  *     parameters:
@@ -222,40 +321,123 @@ router.put('/:id',
  *         description: Authorization header containing "Bearer " followed by access token from login
  *         in: header
  *         required: true
- *       - name: name
- *         description: name of product
- *         in: body
- *         required: false
- *       - name: expirationDate
- *         description: expiration date of product in format "YYYY-MM-DD"
- *         in: body
- *         required: false
- *       - name: category
- *         description: category of product
- *         in: body
- *         required: false
- *       - name: price
- *         description: price of product
- *         in: body
+ *       - name: If-Match
+ *         description: ETag of the product from an earlier response, the request fails if the product has changed since
+ *         in: header
  *         required: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductEdit'
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/MergePatch'
+ *         application/json-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/JsonPatch'
  *     responses:
  *       204:
  *         description: Product was updated
+ *       409:
+ *         description: A test operation of the JSON Patch failed
+ *       412:
+ *         description: The product has changed since the ETag in If-Match
+ *       415:
+ *         description: The body is not application/json, application/merge-patch+json or application/json-patch+json
+ *       422:
+ *         description: An operation of the JSON Patch can not be applied
  */
 router.patch('/:id',
   authenticateJWT,
-  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.UPDATE),
+  validate({ params: productParams, query: noQuery, content: { 'application/json': editProductBody, [PatchTypes.MERGE_PATCH]: mergePatchBody, [PatchTypes.JSON_PATCH]: jsonPatchBody } }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.EDITOR),
+  authorizeProduct,
+  (req, res, next) => checkIfMatch(req, res, next, 'product'),
   (req, res, next) => controller.patchEdit(req, res, next)
 )
 
-// Should be permission level DELETE
+/**
+ * @swagger
+ * /fridge/:id/product/:id/consume:
+ *   post:
+ *     tags:
+ *       - product
+ *     description: consumes some of product, lowering its quantity - a product that is used up is removed from fridge
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductConsume'
+ *     responses:
+ *       200:
+ *         description: Returns product with its remaining quantity, or with "finished" true if it was used up and removed
+ *       409:
+ *         description: Less of product is left than was consumed
+ */
+router.post('/:id/consume',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.UPDATE),
+  validate({ params: productParams, query: noQuery, body: consumeProductBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.EDITOR),
+  authorizeProduct,
+  (req, res, next) => controller.consume(req, res, next)
+)
+
+/**
+ * @swagger
+ * /fridge/:id/product/:id/move:
+ *   post:
+ *     tags:
+ *       - product
+ *     description: moves product to another fridge - the user must be allowed to edit both fridges
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductMove'
+ *     responses:
+ *       200:
+ *         description: Returns moved product
+ *       403:
+ *         description: User is not allowed to edit the target fridge
+ *       404:
+ *         description: Product or target fridge not existing
+ */
+router.post('/:id/move',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.UPDATE),
+  validate({ params: productParams, query: noQuery, body: moveProductBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.EDITOR),
+  authorizeProduct,
+  (req, res, next) => controller.move(req, res, next)
+)
+
 /**
  * @swagger
  * /fridge/:id/product/:id:
  *   delete:
  *     tags:
  *       - product
- *     description: deletes product from fridge
+ *     description: moves product from fridge to trash, recording whether it was consumed or wasted - restoring it from /trash removes the record
  *     produces:
  *       - application/json
  *     parameters:
@@ -263,12 +445,32 @@ router.patch('/:id',
  *         description: Authorization header containing "Bearer " followed by access token from login
  *         in: header
  *         required: true
+ *       - name: If-Match
+ *         description: ETag of the product from an earlier response, the request fails if the product has changed since
+ *         in: header
+ *         required: false
+ *       - name: reason
+ *         description: why product is removed, "consumed" or "wasted" - defaults to "wasted" for expired products and "consumed" for others
+ *         in: query
+ *         required: false
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductDelete'
  *     responses:
  *       204:
- *         description: No content, product deleted
+ *         description: No content, product moved to trash
+ *       412:
+ *         description: The product has changed since the ETag in If-Match
  */
 router.delete('/:id',
   authenticateJWT,
-  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.DELETE),
+  validate({ params: productParams, query: deleteProductQuery, body: deleteProductBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.EDITOR),
+  authorizeProduct,
+  (req, res, next) => checkIfMatch(req, res, next, 'product'),
   (req, res, next) => controller.delete(req, res, next)
 )
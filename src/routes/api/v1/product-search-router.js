@@ -0,0 +1,89 @@
+/* eslint-disable jsdoc/check-indentation */
+/* eslint-disable jsdoc/check-tag-names */
+/**
+ * Routes for searching products in all fridges of the user.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import express from 'express'
+import { ProductController } from '../../../controllers/product-controller.js'
+import { authenticateJWT, hasPermission, PermissionLevels } from '../../../middleware/auth.js'
+import { validate } from '../../../middleware/validate.js'
+import { searchProductsQuery } from '../../../schemas/product.js'
+
+export const router = express.Router()
+
+const controller = new ProductController()
+
+// -------
+// ROUTES:
+// -------
+
+/**
+ * @swagger
+ * /product:
+ *   get:
+ *     tags:
+ *       - product
+ *     description: searches products in every fridge the user is a member of, each product includes the name of its fridge
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *       - name: q
+ *         description: words to search for in product names, not case sensitive, best matches are returned first
+ *         in: query
+ *         required: false
+ *       - name: category
+ *         description: only return products in this category, can be given more than once
+ *         in: query
+ *         required: false
+ *       - name: minPrice
+ *         description: only return products costing at least this much
+ *         in: query
+ *         required: false
+ *       - name: maxPrice
+ *         description: only return products costing at most this much
+ *         in: query
+ *         required: false
+ *       - name: expiringAfter
+ *         description: only return products expiring on or after this date, "YYYY-MM-DD"
+ *         in: query
+ *         required: false
+ *       - name: expiringBefore
+ *         description: only return products expiring before this date, "YYYY-MM-DD"
+ *         in: query
+ *         required: false
+ *       - name: expiring
+ *         description: only return products expiring within a time, "within:3d" (days) or "within:12h" (hours), or "soon" for products within their configured expiry warning
+ *         in: query
+ *         required: false
+ *       - name: sort
+ *         description: order of products, "relevance" (default when searching with q), expirationDate (default otherwise), price, name, category or createdAt, prefix with "-" for descending order
+ *         in: query
+ *         required: false
+ *       - name: page
+ *         description: page number, starting at 1
+ *         in: query
+ *         required: false
+ *       - name: limit
+ *         description: products per page, default 20 and at most 100
+ *         in: query
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Returns matching products, with total, page, limit and totalPages
+ *       400:
+ *         description: Invalid filter or sort
+ */
+router.get('/',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  validate({ query: searchProductsQuery }),
+  (req, res, next) => controller.search(req, res, next)
+)
@@ -12,6 +12,13 @@ import createError from 'http-errors'
 import { router as fridgeRouter } from './fridge-router.js'
 import { router as userRouter } from './user-router.js'
 import { router as productRouter } from './product-router.js'
+import { router as productSearchRouter } from './product-search-router.js'
+import { router as memberRouter } from './member-router.js'
+import { router as webhookRouter } from './webhook-router.js'
+import { router as adminRouter } from './admin-router.js'
+import { router as trashRouter } from './trash-router.js'
+import { validate } from '../../../middleware/validate.js'
+import { fridgeParams } from '../../../schemas/common.js'
 
 export const router = express.Router()
 
@@ -27,20 +34,67 @@ router.get('/', (req, res) => res.json({
   endpoints: [
     { path: '/fridge', method: 'GET', description: 'List all images' },
     { path: '/fridge', method: 'POST', description: 'Create image' },
-    { path: '/fridge/cleanout', method: 'GET', description: 'Releases webhook for expired items in fridges' },
+    { path: '/fridge/cleanout', method: 'GET', description: 'Runs the expiry sweep for webhooks right away (admin only)' },
     { path: '/fridge/{id}', method: 'GET', description: 'Get single image' },
     { path: '/fridge/{id}', method: 'PUT', description: 'Edit image' },
     { path: '/fridge/{id}', method: 'PATCH', description: 'Partially edit image' },
-    { path: '/fridge/{id}', method: 'DELETE', description: 'Delete image' },
+    { path: '/fridge/{id}', method: 'DELETE', description: 'Move image to trash' },
+    { path: '/fridge/{id}/temperature', method: 'GET', description: 'List temperature readings of fridge, or aggregate them per hour or day' },
+    { path: '/fridge/{id}/temperature', method: 'POST', description: 'Record temperature readings of fridge' },
+    { path: '/fridge/{id}/stats', method: 'GET', description: 'Get statistics of products consumed and wasted in fridge' },
     { path: '/fridge/{id}/webhook', method: 'POST', description: 'Register webhook for expired items in particular fridge' },
-    { path: '/fridge/{id}/product', method: 'GET', description: 'List all products in fridge' },
+    { path: '/fridge/{id}/webhooks', method: 'GET', description: 'List all webhooks of particular fridge' },
+    { path: '/fridge/{id}/webhooks', method: 'POST', description: 'Add webhook subscribed to chosen events to particular fridge' },
+    { path: '/fridge/{id}/webhooks/{webhookId}', method: 'GET', description: 'Get single webhook' },
+    { path: '/fridge/{id}/webhooks/{webhookId}', method: 'PATCH', description: 'Edit webhook' },
+    { path: '/fridge/{id}/webhooks/{webhookId}', method: 'DELETE', description: 'Delete webhook' },
+    { path: '/fridge/{id}/webhook/deliveries', method: 'GET', description: 'List webhook deliveries of particular fridge' },
+    { path: '/fridge/{id}/webhook/deliveries/{deliveryId}/redeliver', method: 'POST', description: 'Send webhook delivery again' },
+    { path: '/fridge/{id}/product', method: 'GET', description: 'List products in fridge, a page at a time' },
     { path: '/fridge/{id}/product', method: 'POST', description: 'Create product in fridge' },
+    { path: '/fridge/{id}/product/bulk', method: 'POST', description: 'Add several products to fridge from JSON or CSV' },
+    { path: '/fridge/{id}/product/export', method: 'GET', description: 'Export products in fridge as JSON or CSV' },
+    { path: '/fridge/{id}/product/move', method: 'POST', description: 'Move several products to another fridge' },
     { path: '/fridge/{id}/product/{id}', method: 'GET', description: 'Get single product in fridge' },
     { path: '/fridge/{id}/product/{id}', method: 'PUT', description: 'Edit product in fridge' },
     { path: '/fridge/{id}/product/{id}', method: 'PATCH', description: 'Partially edit product in fridge' },
-    { path: '/fridge/{id}/product/{id}', method: 'DELETE', description: 'Delete product in fridge' },
+    { path: '/fridge/{id}/product/{id}/consume', method: 'POST', description: 'Consume some of product in fridge' },
+    { path: '/fridge/{id}/product/{id}/move', method: 'POST', description: 'Move product to another fridge' },
+    { path: '/fridge/{id}/product/{id}', method: 'DELETE', description: 'Move product in fridge to trash' },
+    { path: '/product', method: 'GET', description: 'Search products in all your fridges' },
+    { path: '/trash', method: 'GET', description: 'List deleted fridges and products you can restore' },
+    { path: '/trash', method: 'DELETE', description: 'Permanently delete everything in your trash' },
+    { path: '/trash/{id}/restore', method: 'POST', description: 'Restore fridge or product from trash' },
+    { path: '/trash/{id}', method: 'DELETE', description: 'Permanently delete fridge or product in trash' },
+    { path: '/fridge/{id}/members', method: 'GET', description: 'List all members of fridge' },
+    { path: '/fridge/{id}/members', method: 'POST', description: 'Invite user to fridge' },
+    { path: '/fridge/{id}/members/{userId}', method: 'PATCH', description: 'Change role of member' },
+    { path: '/fridge/{id}/members/{userId}', method: 'DELETE', description: 'Remove member from fridge' },
     { path: '/user/register', method: 'POST', description: 'Register a new user' },
-    { path: '/user/login', method: 'POST', description: 'Log in and obtain an access token' }
+    { path: '/user/login', method: 'POST', description: 'Log in and obtain an access token' },
+    { path: '/user/refresh', method: 'POST', description: 'Exchange a refresh token for a new access token' },
+    { path: '/user/logout', method: 'POST', description: 'Log out, or end all sessions' },
+    { path: '/user/password/forgot', method: 'POST', description: 'Get a password reset token mailed' },
+    { path: '/user/password/reset', method: 'POST', description: 'Set a new password with a reset token' },
+    { path: '/user/me', method: 'GET', description: 'Get your profile' },
+    { path: '/user/me', method: 'PATCH', description: 'Partially edit your profile' },
+    { path: '/user/me', method: 'DELETE', description: 'Delete your account' },
+    { path: '/user/me/password', method: 'POST', description: 'Change your password' },
+    { path: '/user/me/expiry-warning', method: 'GET', description: 'Get your expiry warning settings' },
+    { path: '/user/me/expiry-warning', method: 'PUT', description: 'Replace your expiry warning settings' },
+    { path: '/user/me/stats', method: 'GET', description: 'Get statistics of products consumed and wasted in your fridges' },
+    { path: '/user/me/export', method: 'GET', description: 'Export your fridges, products, webhooks and settings as an archive' },
+    { path: '/user/me/import', method: 'POST', description: 'Import an account archive' },
+    { path: '/admin/users', method: 'GET', description: 'List and search users (admin only)' },
+    { path: '/admin/users/{userId}', method: 'GET', description: 'Get single user (admin only)' },
+    { path: '/admin/users/{userId}/lock', method: 'POST', description: 'Lock user account (admin only)' },
+    { path: '/admin/users/{userId}/unlock', method: 'POST', description: 'Unlock user account (admin only)' },
+    { path: '/admin/users/{userId}/permission-level', method: 'PATCH', description: 'Change permission level of user (admin only)' },
+    { path: '/admin/fridges', method: 'GET', description: 'List fridges of all users (admin only)' },
+    { path: '/admin/fridges/{id}', method: 'GET', description: 'Get any fridge with products and members (admin only)' },
+    { path: '/admin/maintenance/expiry-sweep', method: 'POST', description: 'Run the expiry sweep right away (admin only)' },
+    { path: '/admin/maintenance/consistency-check', method: 'POST', description: 'Check, and optionally repair, consistency of fridges and products (admin only)' },
+    { path: '/admin/audit', method: 'GET', description: 'List audit log of admin actions (admin only)' }
   ]
 }))
 
@@ -63,4 +117,9 @@ const saveFridge = (req, res, next) => {
 
 router.use('/fridge', fridgeRouter)
 router.use('/user', userRouter)
-router.use('/fridge/:id/product', saveFridge, productRouter)
+router.use('/admin', adminRouter)
+router.use('/trash', trashRouter)
+router.use('/fridge/:id/product', validate({ params: fridgeParams }), saveFridge, productRouter)
+router.use('/product', productSearchRouter)
+router.use('/fridge/:id/members', validate({ params: fridgeParams }), saveFridge, memberRouter)
+router.use('/fridge/:id/webhooks', validate({ params: fridgeParams }), saveFridge, webhookRouter)
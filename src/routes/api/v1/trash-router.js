@@ -0,0 +1,141 @@
+/* eslint-disable jsdoc/check-indentation */
+/* eslint-disable jsdoc/check-tag-names */
+/**
+ * Trash routes, for restoring and permanently deleting deleted fridges and products.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import express from 'express'
+import { TrashController } from '../../../controllers/trash-controller.js'
+import { authenticateJWT, hasPermission, PermissionLevels } from '../../../middleware/auth.js'
+import { validate } from '../../../middleware/validate.js'
+import { trashItemParams, trashQuery } from '../../../schemas/trash.js'
+import { noBody, noQuery } from '../../../schemas/common.js'
+
+export const router = express.Router()
+
+const controller = new TrashController()
+
+// -------
+// ROUTES:
+// -------
+
+/**
+ * @swagger
+ * /trash:
+ *   get:
+ *     tags:
+ *       - trash
+ *     description: returns deleted fridges the user owned and deleted products of fridges the user can edit, newest first
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *       - name: type
+ *         description: fridge or product, to only list one kind of item
+ *         in: query
+ *         required: false
+ *       - name: page
+ *         description: page number, starting at 1
+ *         in: query
+ *         required: false
+ *       - name: limit
+ *         description: items per page, default 20 and at most 100
+ *         in: query
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Returns items in trash, with the date they are permanently deleted in expiresAt
+ */
+router.get('/',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  validate({ query: trashQuery }),
+  (req, res, next) => controller.findAll(req, res, next)
+)
+
+/**
+ * @swagger
+ * /trash:
+ *   delete:
+ *     tags:
+ *       - trash
+ *     description: permanently deletes every item in trash the user can see
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: No content, trash emptied
+ */
+router.delete('/',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.DELETE),
+  validate({ query: noQuery }),
+  (req, res, next) => controller.purgeAll(req, res, next)
+)
+
+/**
+ * @swagger
+ * /trash/:id/restore:
+ *   post:
+ *     tags:
+ *       - trash
+ *     description: restores fridge or product from trash, with the id it had before it was deleted
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Item restored, returns link to it
+ *       404:
+ *         description: Item not existing in trash
+ *       409:
+ *         description: Fridge of product no longer exists, another fridge has the name of the fridge, or item was already restored or purged
+ */
+router.post('/:id/restore',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.CREATE),
+  validate({ params: trashItemParams, query: noQuery, body: noBody }),
+  (req, res, next) => controller.restore(req, res, next)
+)
+
+/**
+ * @swagger
+ * /trash/:id:
+ *   delete:
+ *     tags:
+ *       - trash
+ *     description: permanently deletes fridge or product in trash, for fridges their consumption and waste history is deleted too
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: No content, item permanently deleted
+ *       404:
+ *         description: Item not existing in trash
+ */
+router.delete('/:id',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.DELETE),
+  validate({ params: trashItemParams, query: noQuery }),
+  (req, res, next) => controller.purge(req, res, next)
+)
@@ -9,6 +9,10 @@
 
 import express from 'express'
 import { UserController } from '../../../controllers/user-controller.js'
+import { authenticateJWT } from '../../../middleware/auth.js'
+import { validate } from '../../../middleware/validate.js'
+import { accountArchiveBody, changePasswordBody, editProfileBody, expiryWarningBody, forgotPasswordBody, importAccountQuery, loginBody, logoutBody, refreshBody, registerBody, resetPasswordBody } from '../../../schemas/user.js'
+import { noQuery, statsQuery } from '../../../schemas/common.js'
 
 export const router = express.Router()
 
@@ -23,22 +27,68 @@ const controller = new UserController()
  *     description: log in user
  *     produces:
  *       - application/json
- *     parameters:
- *       - name: username
- *         description: username of registered user
- *         in: body
- *         required: true
- *       - name: password
- *         description: password of registered user
- *         in: body
- *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Login'
  *     responses:
  *       200:
- *         description: Returns username and access token for further requests
+ *         description: Returns username, access token for further requests and refresh token for new access tokens
  *       401:
  *         description: Authentication failed
  */
-router.post('/login', (req, res, next) => controller.login(req, res, next))
+router.post('/login', validate({ query: noQuery, body: loginBody }), (req, res, next) => controller.login(req, res, next))
+
+/**
+ * @swagger
+ * /user/refresh:
+ *   post:
+ *     tags:
+ *       - user
+ *     description: exchanges refresh token for new access token and refresh token, each refresh token can only be used once
+ *     produces:
+ *       - application/json
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Refresh'
+ *     responses:
+ *       200:
+ *         description: Returns new access token and refresh token
+ *       401:
+ *         description: Refresh token invalid, expired or already used
+ */
+router.post('/refresh', validate({ query: noQuery, body: refreshBody }), (req, res, next) => controller.refresh(req, res, next))
+
+/**
+ * @swagger
+ * /user/logout:
+ *   post:
+ *     tags:
+ *       - user
+ *     description: logs out user, revoking access token used and given refresh token
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Logout'
+ *     responses:
+ *       204:
+ *         description: No content, logged out
+ */
+router.post('/logout', authenticateJWT, validate({ query: noQuery, body: logoutBody }), (req, res, next) => controller.logout(req, res, next))
 
 /**
  * @swagger
@@ -49,33 +99,292 @@ router.post('/login', (req, res, next) => controller.login(req, res, next))
  *     description: register user
  *     produces:
  *       - application/json
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Register'
+ *     responses:
+ *       201:
+ *         description: Created user, returns new user id
+ *       409:
+ *         description: Email or username busy
+ *       400:
+ *         description: Bad request, missing parameters
+ */
+router.post('/register', validate({ query: noQuery, body: registerBody }), (req, res, next) => controller.register(req, res, next))
+
+/**
+ * @swagger
+ * /user/password/forgot:
+ *   post:
+ *     tags:
+ *       - user
+ *     description: mails a single-use password reset token to the user with the given email
+ *     produces:
+ *       - application/json
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPassword'
+ *     responses:
+ *       202:
+ *         description: Accepted, a reset token is mailed if the email belongs to a user
+ */
+router.post('/password/forgot', validate({ query: noQuery, body: forgotPasswordBody }), (req, res, next) => controller.forgotPassword(req, res, next))
+
+/**
+ * @swagger
+ * /user/password/reset:
+ *   post:
+ *     tags:
+ *       - user
+ *     description: sets a new password using a reset token, ending all sessions of the user
+ *     produces:
+ *       - application/json
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPassword'
+ *     responses:
+ *       204:
+ *         description: No content, password changed
+ *       400:
+ *         description: Bad request, invalid or expired token or invalid password
+ */
+router.post('/password/reset', validate({ query: noQuery, body: resetPasswordBody }), (req, res, next) => controller.resetPassword(req, res, next))
+
+/**
+ * @swagger
+ * /user/me:
+ *   get:
+ *     tags:
+ *       - user
+ *     description: returns the profile of the user
+ *     produces:
+ *       - application/json
  *     parameters:
- *       - name: username
- *         description: wanted username for new user
- *         in: body
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
  *         required: true
- *       - name: password
- *         description: wanted password for new user
- *         in: body
+ *     responses:
+ *       200:
+ *         description: Returns profile
+ */
+router.get('/me', authenticateJWT, validate({ query: noQuery }), (req, res, next) => controller.findMe(req, res, next))
+
+/**
+ * @swagger
+ * /user/me:
+ *   patch:
+ *     tags:
+ *       - user
+ *     description: partially edits the profile of the user
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
  *         required: true
- *       - name: firstName
- *         description: first name of new user
- *         in: body
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProfileEdit'
+ *     responses:
+ *       200:
+ *         description: Returns updated profile
+ *       409:
+ *         description: Email busy
+ */
+router.patch('/me', authenticateJWT, validate({ query: noQuery, body: editProfileBody }), (req, res, next) => controller.patchMe(req, res, next))
+
+/**
+ * @swagger
+ * /user/me:
+ *   delete:
+ *     tags:
+ *       - user
+ *     description: deletes the account of the user, together with the fridges and products the user is the only owner of
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
  *         required: true
- *       - name: lastName
- *         description: last name of new user
- *         in: body
+ *     responses:
+ *       204:
+ *         description: No content, account deleted
+ */
+router.delete('/me', authenticateJWT, validate({ query: noQuery }), (req, res, next) => controller.deleteMe(req, res, next))
+
+/**
+ * @swagger
+ * /user/me/password:
+ *   post:
+ *     tags:
+ *       - user
+ *     description: changes the password of the user, ending all sessions
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
  *         required: true
- *       - name: email
- *         description: email of new user
- *         in: body
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordChange'
+ *     responses:
+ *       200:
+ *         description: Returns new access token and refresh token
+ *       403:
+ *         description: Current password is wrong
+ */
+router.post('/me/password', authenticateJWT, validate({ query: noQuery, body: changePasswordBody }), (req, res, next) => controller.changePassword(req, res, next))
+
+/**
+ * @swagger
+ * /user/me/expiry-warning:
+ *   get:
+ *     tags:
+ *       - user
+ *     description: returns the expiry warning settings of the user, used for fridges without their own settings
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
  *         required: true
  *     responses:
- *       201:
- *         description: Created user, returns new user id
- *       409:
- *         description: Email or username busy
+ *       200:
+ *         description: Returns expiry warning settings
+ */
+router.get('/me/expiry-warning', authenticateJWT, validate({ query: noQuery }), (req, res, next) => controller.findExpiryWarning(req, res, next))
+
+/**
+ * @swagger
+ * /user/me/expiry-warning:
+ *   put:
+ *     tags:
+ *       - user
+ *     description: replaces the expiry warning settings of the user
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExpiryWarning'
+ *     responses:
+ *       200:
+ *         description: Returns updated expiry warning settings
  *       400:
- *         description: Bad request, missing parameters
+ *         description: Bad request, days must be numbers of at least 0
+ */
+router.put('/me/expiry-warning', authenticateJWT, validate({ query: noQuery, body: expiryWarningBody }), (req, res, next) => controller.replaceExpiryWarning(req, res, next))
+
+/**
+ * @swagger
+ * /user/me/stats:
+ *   get:
+ *     tags:
+ *       - user
+ *     description: returns statistics of products consumed and wasted in every fridge the user is a member of
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *       - name: from
+ *         description: start of period, "YYYY-MM-DD" - defaults to one year before to
+ *         in: query
+ *         required: false
+ *       - name: to
+ *         description: end of period, "YYYY-MM-DD" - defaults to now
+ *         in: query
+ *         required: false
+ *       - name: interval
+ *         description: length of the periods in trends, "day", "week" or "month" (default)
+ *         in: query
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Returns number and value of products consumed, wasted and moved, money wasted, waste rate, waste by category and trends over time
+ *       400:
+ *         description: Invalid period
+ */
+router.get('/me/stats', authenticateJWT, validate({ query: statsQuery }), (req, res, next) => controller.stats(req, res, next))
+
+/**
+ * @swagger
+ * /user/me/export:
+ *   get:
+ *     tags:
+ *       - user
+ *     description: returns a versioned archive of the settings of the user and the fridges the user owns, with their products and webhooks (including webhook secrets)
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Returns account archive
+ */
+router.get('/me/export', authenticateJWT, validate({ query: noQuery }), (req, res, next) => controller.exportAccount(req, res, next))
+
+/**
+ * @swagger
+ * /user/me/import:
+ *   post:
+ *     tags:
+ *       - user
+ *     description: restores an account archive, every fridge, product and webhook gets a new id - nothing is imported if any part of the archive is invalid
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *       - name: mode
+ *         description: '"merge" (default) adds the archived fridges, merging fridges with the same name as one you own, "replace" deletes the fridges you are the only owner of and your settings first'
+ *         in: query
+ *         required: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AccountArchive'
+ *     responses:
+ *       200:
+ *         description: Returns the number of fridges, products and webhooks imported, and idMap with the new id of each archived id
+ *       400:
+ *         description: Returns the errors of the invalid archive
  */
-router.post('/register', (req, res, next) => controller.register(req, res, next))
+router.post('/me/import', authenticateJWT, validate({ query: importAccountQuery, body: accountArchiveBody }), (req, res, next) => controller.importAccount(req, res, next))
@@ -0,0 +1,168 @@
+/* eslint-disable jsdoc/check-indentation */
+/* eslint-disable jsdoc/check-tag-names */
+/**
+ * Fridge webhook routes.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import express from 'express'
+import { WebhookController } from '../../../controllers/webhook-controller.js'
+import { authenticateJWT, authorizeFridge, hasPermission, PermissionLevels } from '../../../middleware/auth.js'
+import { FridgeRoles } from '../../../models/membership.js'
+import { validate } from '../../../middleware/validate.js'
+import { createWebhookBody, editWebhookBody, webhookParams } from '../../../schemas/webhook.js'
+import { noQuery } from '../../../schemas/common.js'
+
+export const router = express.Router()
+
+const controller = new WebhookController()
+
+// -------
+// ROUTES:
+// -------
+
+/**
+ * @swagger
+ * /fridge/:id/webhooks:
+ *   get:
+ *     tags:
+ *       - webhook
+ *     description: returns all webhooks of fridge
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Returns webhooks, without their secrets
+ */
+router.get('/',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  validate({ query: noQuery }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.OWNER),
+  (req, res, next) => controller.findAll(req, res, next)
+)
+
+/**
+ * @swagger
+ * /fridge/:id/webhooks:
+ *   post:
+ *     tags:
+ *       - webhook
+ *     description: adds webhook to fridge, subscribed to the given events
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookCreate'
+ *     responses:
+ *       201:
+ *         description: Created webhook, returns new webhook
+ *       400:
+ *         description: Bad request, invalid url, secret or events
+ */
+router.post('/',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.CREATE),
+  validate({ query: noQuery, body: createWebhookBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.OWNER),
+  (req, res, next) => controller.create(req, res, next)
+)
+
+/**
+ * @swagger
+ * /fridge/:id/webhooks/:webhookId:
+ *   get:
+ *     tags:
+ *       - webhook
+ *     description: returns webhook by id
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Returns webhook, without its secret
+ */
+router.get('/:webhookId',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.READ),
+  validate({ params: webhookParams, query: noQuery }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.OWNER),
+  (req, res, next) => controller.findById(req, res, next)
+)
+
+/**
+ * @swagger
+ * /fridge/:id/webhooks/:webhookId:
+ *   patch:
+ *     tags:
+ *       - webhook
+ *     description: edits url, secret and/or events of webhook
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookEdit'
+ *     responses:
+ *       200:
+ *         description: Returns updated webhook
+ */
+router.patch('/:webhookId',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.UPDATE),
+  validate({ params: webhookParams, query: noQuery, body: editWebhookBody }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.OWNER),
+  (req, res, next) => controller.update(req, res, next)
+)
+
+/**
+ * @swagger
+ * /fridge/:id/webhooks/:webhookId:
+ *   delete:
+ *     tags:
+ *       - webhook
+ *     description: deletes webhook
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: Authorization
+ *         description: Authorization header containing "Bearer " followed by access token from login
+ *         in: header
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: No content, webhook deleted
+ */
+router.delete('/:webhookId',
+  authenticateJWT,
+  (req, res, next) => hasPermission(req, res, next, PermissionLevels.DELETE),
+  validate({ params: webhookParams, query: noQuery }),
+  (req, res, next) => authorizeFridge(req, res, next, FridgeRoles.OWNER),
+  (req, res, next) => controller.delete(req, res, next)
+)
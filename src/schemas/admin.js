@@ -0,0 +1,73 @@
+/**
+ * Request schemas of the admin routes.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { CatalogSources } from '../models/catalog-item.js'
+import { Units } from '../utils/units.js'
+import { barcode, booleanString, idParams, objectId, querySchema } from './common.js'
+
+export const adminUserParams = idParams('userId')
+
+export const adminFridgeParams = idParams('id')
+
+export const adminUsersQuery = querySchema({
+  q: { type: 'string', description: 'text to search for in username, first name, last name and email' },
+  locked: { ...booleanString, description: '"true" for only locked users, "false" for only unlocked users' }
+}, true)
+
+export const adminFridgesQuery = querySchema({
+  ownerId: { ...objectId, description: 'only fridges of this owner' }
+}, true)
+
+export const auditLogQuery = querySchema({
+  targetId: { ...objectId, description: 'only actions on this user or fridge' },
+  action: { type: 'string', description: 'only this action, for example "user.lock"' }
+}, true)
+
+export const consistencyCheckQuery = querySchema({
+  repair: { ...booleanString, description: '"true" to repair the problems found' }
+})
+
+export const lockUserBody = {
+  type: 'object',
+  properties: {
+    reason: { type: 'string', description: 'why the user is locked, recorded in the audit log' }
+  },
+  additionalProperties: false
+}
+
+export const permissionLevelBody = {
+  type: 'object',
+  properties: {
+    permissionLevel: { type: 'integer', minimum: 0, description: 'combination of the permission level flags' }
+  },
+  required: ['permissionLevel'],
+  additionalProperties: false
+}
+
+export const catalogItemParams = {
+  type: 'object',
+  properties: { barcode },
+  required: ['barcode'],
+  additionalProperties: false
+}
+
+export const catalogQuery = querySchema({
+  q: { type: 'string', description: 'words to search for in item names' },
+  source: { type: 'string', enum: Object.values(CatalogSources), description: 'only items added by an admin or learned from products' }
+}, true)
+
+export const catalogItemBody = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 256, description: 'default name of products with the barcode' },
+    category: { type: 'string', description: 'default category of products with the barcode' },
+    shelfLifeDays: { type: 'integer', minimum: 0, description: 'typical days until products expire, giving their default expiration date' },
+    unit: { type: 'string', enum: Object.values(Units), description: 'default unit of quantity of products with the barcode' }
+  },
+  required: ['name'],
+  additionalProperties: false
+}
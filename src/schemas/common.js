@@ -0,0 +1,151 @@
+/**
+ * Schemas shared by the request schemas of several routes.
+ *
+ * Schemas are written in the OpenAPI 3.0 dialect of JSON Schema, they validate requests
+ * and are included in the API documentation.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { MAX_PAGE_LIMIT } from '../utils/pagination.js'
+
+export const objectId = {
+  type: 'string',
+  pattern: '^[0-9a-fA-F]{24}$',
+  description: 'id of a document, 24 hexadecimal characters'
+}
+
+export const dateOrDateTime = {
+  type: 'string',
+  anyOf: [
+    { type: 'string', format: 'date' },
+    { type: 'string', format: 'date-time' }
+  ],
+  description: 'date, "YYYY-MM-DD", or date and time in ISO 8601 format'
+}
+
+export const barcode = {
+  type: 'string',
+  format: 'gtin',
+  description: 'GTIN barcode, EAN-8, UPC-A, EAN-13 or GTIN-14 with its check digit'
+}
+
+// Query string values are strings, numbers and booleans are checked by their format.
+
+export const integerString = {
+  type: 'string',
+  pattern: '^[0-9]+$'
+}
+
+export const numberString = {
+  type: 'string',
+  pattern: '^-?[0-9]+(\\.[0-9]+)?$'
+}
+
+export const booleanString = {
+  type: 'string',
+  enum: ['true', 'false']
+}
+
+/**
+ * Creates a schema accepting a value, or several of them as an array.
+ * Query string parameters given more than once are arrays.
+ *
+ * @param {object} schema - The schema of one value.
+ * @returns {object} The schema.
+ */
+export const oneOrMany = (schema) => ({
+  anyOf: [schema, { type: 'array', items: schema }]
+})
+
+/**
+ * Creates a schema of route parameters that are all ids.
+ *
+ * @param {...string} names - The names of the parameters.
+ * @returns {object} The schema.
+ */
+export const idParams = (...names) => ({
+  type: 'object',
+  properties: Object.fromEntries(names.map(name => [name, objectId])),
+  required: names,
+  additionalProperties: false
+})
+
+/**
+ * Creates a schema of a query string, with the `page` and `limit` of paginated listings if `paginated`.
+ *
+ * @param {object} properties - The schemas of the query parameters.
+ * @param {boolean} [paginated] - Whether the listing is paginated.
+ * @returns {object} The schema.
+ */
+export const querySchema = (properties, paginated = false) => ({
+  type: 'object',
+  properties: {
+    ...properties,
+    ...(paginated && {
+      page: { ...integerString, description: 'page number, starting at 1' },
+      limit: { ...integerString, description: `items per page, at most ${MAX_PAGE_LIMIT}` }
+    })
+  },
+  additionalProperties: false
+})
+
+export const noQuery = querySchema({})
+
+export const noBody = {
+  type: 'object',
+  additionalProperties: false
+}
+
+export const fridgeParams = idParams('id')
+
+export const statsQuery = querySchema({
+  from: { ...dateOrDateTime, description: 'start of period, defaults to one year before to' },
+  to: { ...dateOrDateTime, description: 'end of period, defaults to now' },
+  interval: { type: 'string', enum: ['day', 'week', 'month'], description: 'length of the periods in trends' }
+})
+
+export const expiryWarning = {
+  type: 'object',
+  properties: {
+    days: { type: 'number', minimum: 0, description: 'days before expiration products are warned about' },
+    categories: {
+      type: 'object',
+      additionalProperties: { type: 'number', minimum: 0 },
+      description: 'days per product category, overriding days'
+    }
+  },
+  additionalProperties: false
+}
+
+// Bodies of PATCH requests in the patch formats. The patched document is validated against the schema of the resource.
+
+export const mergePatchBody = {
+  type: 'object',
+  description: 'JSON Merge Patch, RFC 7396, the fields to change with their new values - null removes a field'
+}
+
+const pointer = { type: 'string', pattern: '^(/[^/]*)*$', description: 'JSON Pointer, for example /temperatureRange/min' }
+
+export const jsonPatchBody = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+      path: pointer,
+      from: { ...pointer, description: 'JSON Pointer to the value to move or copy' },
+      value: { description: 'value to add, replace with or test for' }
+    },
+    required: ['op', 'path'],
+    anyOf: [
+      { type: 'object', properties: { op: { type: 'string', enum: ['add', 'replace', 'test'] } }, required: ['value'] },
+      { type: 'object', properties: { op: { type: 'string', enum: ['move', 'copy'] } }, required: ['from'] },
+      { type: 'object', properties: { op: { type: 'string', enum: ['remove'] } } }
+    ],
+    additionalProperties: false,
+    description: 'an add, replace or test operation with value, a move or copy operation with from, or a remove operation'
+  },
+  description: 'JSON Patch, RFC 6902, operations applied in order, either all or none of them'
+}
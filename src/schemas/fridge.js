@@ -0,0 +1,85 @@
+/**
+ * Request schemas of the fridge routes.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { MAX_READINGS } from '../services/temperature.js'
+import { dateOrDateTime, expiryWarning, querySchema } from './common.js'
+
+const name = { type: 'string', minLength: 1, maxLength: 256, description: 'name of fridge' }
+const location = { type: 'string', maxLength: 256, description: 'location of fridge' }
+const temperature = { type: 'number', description: 'temperature of fridge, recorded as a temperature reading' }
+
+const temperatureRange = {
+  type: 'object',
+  nullable: true,
+  properties: {
+    min: { type: 'number', description: 'lowest allowed temperature' },
+    max: { type: 'number', description: 'highest allowed temperature' }
+  },
+  additionalProperties: false,
+  description: 'allowed temperatures of fridge, readings outside it raise a fridge.temperature_alert webhook event - null removes it'
+}
+
+const fridgeProperties = { name, location, temperature, temperatureRange, expiryWarning }
+
+export const createFridgeBody = {
+  type: 'object',
+  properties: { name, location },
+  required: ['name'],
+  additionalProperties: false
+}
+
+export const replaceFridgeBody = {
+  type: 'object',
+  properties: fridgeProperties,
+  required: ['name'],
+  additionalProperties: false
+}
+
+export const editFridgeBody = {
+  type: 'object',
+  properties: fridgeProperties,
+  minProperties: 1,
+  additionalProperties: false
+}
+
+const reading = {
+  temperature: { type: 'number', description: 'temperature of one reading' },
+  recordedAt: { type: 'string', format: 'date-time', description: 'when the reading was taken, defaults to now' }
+}
+
+export const temperatureReadingsBody = {
+  type: 'object',
+  properties: {
+    ...reading,
+    readings: {
+      type: 'array',
+      items: { type: 'object', properties: reading, required: ['temperature'], additionalProperties: false },
+      minItems: 1,
+      maxItems: MAX_READINGS,
+      description: `several readings, at most ${MAX_READINGS}`
+    }
+  },
+  oneOf: [{ required: ['temperature'] }, { required: ['readings'] }],
+  additionalProperties: false,
+  description: 'one reading, with temperature and recordedAt, or several as readings'
+}
+
+export const temperatureQuery = querySchema({
+  from: { ...dateOrDateTime, description: 'start of period, defaults to one day before to' },
+  to: { ...dateOrDateTime, description: 'end of period, defaults to now' },
+  interval: { type: 'string', enum: ['hour', 'day'], description: 'aggregate readings per hour or day' }
+}, true)
+
+export const legacyWebhookBody = {
+  type: 'object',
+  properties: {
+    webhookUrl: { type: 'string', description: 'http or https url to send expired products to' },
+    webhookSecret: { type: 'string', minLength: 1, description: 'secret sent with each request' }
+  },
+  required: ['webhookUrl', 'webhookSecret'],
+  additionalProperties: false
+}
@@ -0,0 +1,52 @@
+/**
+ * The request body and error response schemas, by the name they have in the API documentation.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import * as admin from './admin.js'
+import * as common from './common.js'
+import * as fridge from './fridge.js'
+import * as member from './member.js'
+import * as product from './product.js'
+import * as problem from './problem.js'
+import * as user from './user.js'
+import * as webhook from './webhook.js'
+
+// Referenced from the route documentation as '#/components/schemas/<name>'.
+export const componentSchemas = {
+  FridgeCreate: fridge.createFridgeBody,
+  FridgeReplace: fridge.replaceFridgeBody,
+  FridgeEdit: fridge.editFridgeBody,
+  TemperatureReadings: fridge.temperatureReadingsBody,
+  LegacyWebhook: fridge.legacyWebhookBody,
+  ProductCreate: product.createProductBody,
+  ProductReplace: product.replaceProductBody,
+  ProductEdit: product.editProductBody,
+  ProductImport: product.importProductsBody,
+  ProductConsume: product.consumeProductBody,
+  ProductMove: product.moveProductBody,
+  ProductsMove: product.moveProductsBody,
+  ProductDelete: product.deleteProductBody,
+  MemberInvite: member.inviteMemberBody,
+  MemberRole: member.changeRoleBody,
+  WebhookCreate: webhook.createWebhookBody,
+  WebhookEdit: webhook.editWebhookBody,
+  Login: user.loginBody,
+  Refresh: user.refreshBody,
+  Logout: user.logoutBody,
+  Register: user.registerBody,
+  ForgotPassword: user.forgotPasswordBody,
+  ResetPassword: user.resetPasswordBody,
+  ProfileEdit: user.editProfileBody,
+  PasswordChange: user.changePasswordBody,
+  ExpiryWarning: user.expiryWarningBody,
+  AccountArchive: user.accountArchiveBody,
+  UserLock: admin.lockUserBody,
+  PermissionLevel: admin.permissionLevelBody,
+  CatalogItem: admin.catalogItemBody,
+  MergePatch: common.mergePatchBody,
+  JsonPatch: common.jsonPatchBody,
+  Problem: problem.problem
+}
@@ -0,0 +1,32 @@
+/**
+ * Request schemas of the fridge member routes.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { FridgeRoles } from '../models/membership.js'
+import { idParams } from './common.js'
+
+const role = { type: 'string', enum: Object.values(FridgeRoles), description: 'role of member in fridge' }
+
+export const memberParams = idParams('userId')
+
+export const inviteMemberBody = {
+  type: 'object',
+  properties: {
+    username: { type: 'string', minLength: 1, description: 'username of user to invite - required if email is not provided' },
+    email: { type: 'string', minLength: 1, description: 'email of user to invite - required if username is not provided' },
+    role: { ...role, description: 'role of new member, defaults to viewer' }
+  },
+  anyOf: [{ required: ['username'] }, { required: ['email'] }],
+  additionalProperties: false,
+  description: 'the username or email of the user to invite'
+}
+
+export const changeRoleBody = {
+  type: 'object',
+  properties: { role },
+  required: ['role'],
+  additionalProperties: false
+}
@@ -0,0 +1,34 @@
+/**
+ * Schema of the problem details sent in error responses.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { ErrorCodes } from '../utils/errors.js'
+
+export const problem = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', description: 'URI identifying the kind of problem, derived from code' },
+    title: { type: 'string', description: 'short description of the status' },
+    status: { type: 'integer', description: 'HTTP status code' },
+    detail: { type: 'string', description: 'explanation of this occurrence of the problem' },
+    instance: { type: 'string', description: 'path of the request' },
+    code: { type: 'string', enum: Object.values(ErrorCodes), description: 'stable machine-readable error code' },
+    correlationId: { type: 'string', description: 'id of the request, also in the X-Correlation-Id header' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          in: { type: 'string', enum: ['params', 'query', 'body'] },
+          field: { type: 'string', description: 'dotted path of the field, empty for the whole part' },
+          message: { type: 'string' }
+        }
+      },
+      description: 'invalid fields of VALIDATION_FAILED problems, batch operations list the errors of each invalid item instead'
+    }
+  },
+  required: ['type', 'title', 'status', 'code', 'correlationId']
+}
@@ -0,0 +1,145 @@
+/**
+ * Request schemas of the product routes.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { RemovalReasons } from '../models/product-history.js'
+import { Units } from '../utils/units.js'
+import { barcode, dateOrDateTime, idParams, numberString, objectId, oneOrMany, querySchema } from './common.js'
+
+const name = { type: 'string', minLength: 1, description: 'name of product' }
+const expirationDate = { ...dateOrDateTime, description: 'expiration date of product, "YYYY-MM-DD"' }
+const category = { type: 'string', description: 'category of product' }
+const price = { type: 'number', minimum: 0, description: 'price of product' }
+const quantity = { type: 'number', minimum: 0, description: 'quantity of product, defaults to 1' }
+const unit = { type: 'string', enum: Object.values(Units), description: 'unit of quantity, defaults to pieces' }
+
+const productProperties = { name, expirationDate, category, price, quantity, unit }
+
+export const productParams = idParams('id')
+
+export const createProductBody = {
+  type: 'object',
+  properties: {
+    ...productProperties,
+    barcode: { ...barcode, description: 'barcode of product, fields not given are filled in from the catalog' }
+  },
+  anyOf: [{ required: ['name', 'expirationDate'] }, { required: ['barcode'] }],
+  additionalProperties: false,
+  description: 'a product with name and expirationDate, or with a barcode filling them in from the catalog'
+}
+
+export const replaceProductBody = {
+  type: 'object',
+  properties: productProperties,
+  required: ['name', 'expirationDate'],
+  additionalProperties: false
+}
+
+// A product after a JSON Merge Patch or JSON Patch, which may not remove the quantity and unit.
+export const patchedProductBody = {
+  ...replaceProductBody,
+  required: [...replaceProductBody.required, 'quantity', 'unit']
+}
+
+export const editProductBody = {
+  type: 'object',
+  properties: {
+    ...productProperties,
+    fridgeId: { ...objectId, description: 'id of the fridge of the product, products are moved to another fridge through /move' }
+  },
+  minProperties: 1,
+  additionalProperties: false
+}
+
+export const importProductsBody = {
+  anyOf: [
+    { type: 'array' },
+    {
+      type: 'object',
+      properties: { products: { type: 'array' } },
+      required: ['products'],
+      additionalProperties: false
+    },
+    { type: 'string' }
+  ],
+  description: 'an array of products, an object with the array in products, or CSV text'
+}
+
+export const consumeProductBody = {
+  type: 'object',
+  properties: {
+    quantity: { type: 'number', minimum: 0, description: 'quantity consumed, greater than 0' },
+    unit: { ...unit, description: 'unit of quantity, defaults to the unit of the product' }
+  },
+  required: ['quantity'],
+  additionalProperties: false
+}
+
+const targetFridgeId = { ...objectId, description: 'id of fridge to move to' }
+
+export const moveProductBody = {
+  type: 'object',
+  properties: { targetFridgeId },
+  required: ['targetFridgeId'],
+  additionalProperties: false
+}
+
+export const moveProductsBody = {
+  type: 'object',
+  properties: {
+    targetFridgeId,
+    productIds: { type: 'array', items: objectId, minItems: 1, description: 'ids of products to move' }
+  },
+  required: ['targetFridgeId', 'productIds'],
+  additionalProperties: false
+}
+
+const reason = {
+  type: 'string',
+  enum: [RemovalReasons.CONSUMED, RemovalReasons.WASTED],
+  description: 'why product is removed, defaults to wasted for expired products and consumed for others'
+}
+
+export const deleteProductQuery = querySchema({ reason })
+
+export const deleteProductBody = {
+  type: 'object',
+  properties: { reason },
+  additionalProperties: false
+}
+
+export const exportProductsQuery = querySchema({
+  format: { type: 'string', enum: ['json', 'csv'], description: 'file format, defaults to json' }
+})
+
+export const importProductsQuery = querySchema({
+  skipInvalid: { type: 'string', enum: ['true', 'false'], description: 'add the valid products even if some are invalid' }
+})
+
+const listProperties = {
+  sort: {
+    type: 'string',
+    pattern: '^[-+ ]?[A-Za-z]+(,[-+ ]?[A-Za-z]+)*$',
+    description: 'fields to sort by, separated by commas, prefixed with - for descending order'
+  },
+  category: oneOrMany({ type: 'string' }),
+  minPrice: numberString,
+  maxPrice: numberString,
+  expiringAfter: dateOrDateTime,
+  expiringBefore: dateOrDateTime,
+  expiring: {
+    type: 'string',
+    pattern: '^(soon|within:[0-9]+(\\.[0-9]+)?[dh])$',
+    description: '"soon" or "within:<number>d" or "within:<number>h"'
+  }
+}
+
+export const listProductsQuery = querySchema(listProperties, true)
+
+export const searchProductsQuery = querySchema({
+  ...listProperties,
+  q: { type: 'string', description: 'words to search for in product names' }
+}, true)
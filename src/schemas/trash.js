@@ -0,0 +1,15 @@
+/**
+ * Request schemas of the trash routes.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { TrashItemTypes } from '../models/trash-item.js'
+import { idParams, querySchema } from './common.js'
+
+export const trashItemParams = idParams('id')
+
+export const trashQuery = querySchema({
+  type: { type: 'string', enum: Object.values(TrashItemTypes), description: 'only list one kind of item' }
+}, true)
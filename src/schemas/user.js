@@ -0,0 +1,104 @@
+/**
+ * Request schemas of the user routes.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { ImportModes } from '../services/account-archive.js'
+import { expiryWarning, querySchema } from './common.js'
+
+const username = { type: 'string', minLength: 1, description: 'username' }
+const password = { type: 'string', minLength: 10, maxLength: 256, description: 'password, 10 to 256 characters' }
+const firstName = { type: 'string', minLength: 1, description: 'first name' }
+const lastName = { type: 'string', minLength: 1, description: 'last name' }
+const email = { type: 'string', minLength: 1, description: 'email address' }
+const refreshToken = { type: 'string', minLength: 1, description: 'refresh token from login' }
+
+export const loginBody = {
+  type: 'object',
+  properties: {
+    username,
+    password: { type: 'string', description: 'password' }
+  },
+  required: ['username', 'password'],
+  additionalProperties: false
+}
+
+export const refreshBody = {
+  type: 'object',
+  properties: { refreshToken },
+  required: ['refreshToken'],
+  additionalProperties: false
+}
+
+export const logoutBody = {
+  type: 'object',
+  properties: {
+    refreshToken: { ...refreshToken, description: 'refresh token to revoke' },
+    all: { type: 'boolean', description: 'true to end every session of the user' }
+  },
+  additionalProperties: false
+}
+
+export const registerBody = {
+  type: 'object',
+  properties: { username, password, firstName, lastName, email },
+  required: ['username', 'password', 'firstName', 'lastName', 'email'],
+  additionalProperties: false
+}
+
+export const forgotPasswordBody = {
+  type: 'object',
+  properties: { email },
+  required: ['email'],
+  additionalProperties: false
+}
+
+export const resetPasswordBody = {
+  type: 'object',
+  properties: {
+    token: { type: 'string', minLength: 1, description: 'reset token from the mail' },
+    password: { ...password, description: 'new password, 10 to 256 characters' }
+  },
+  required: ['token', 'password'],
+  additionalProperties: false
+}
+
+export const editProfileBody = {
+  type: 'object',
+  properties: { firstName, lastName, email },
+  minProperties: 1,
+  additionalProperties: false
+}
+
+export const changePasswordBody = {
+  type: 'object',
+  properties: {
+    currentPassword: { type: 'string', description: 'current password' },
+    newPassword: { ...password, description: 'new password, 10 to 256 characters' }
+  },
+  required: ['currentPassword', 'newPassword'],
+  additionalProperties: false
+}
+
+export const expiryWarningBody = expiryWarning
+
+export const importAccountQuery = querySchema({
+  mode: { type: 'string', enum: Object.values(ImportModes), description: 'merge with your fridges (default) or replace them' }
+})
+
+export const accountArchiveBody = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', description: 'always "fridgetracker-account"' },
+    version: { type: 'integer', description: 'version of the archive format' },
+    exportedAt: { type: 'string' },
+    account: { type: 'object' },
+    settings: { type: 'object' },
+    fridges: { type: 'array', items: { type: 'object' } }
+  },
+  required: ['format', 'version', 'fridges'],
+  additionalProperties: false,
+  description: 'an account archive as exported from /user/me/export'
+}
@@ -0,0 +1,39 @@
+/**
+ * Request schemas of the webhook routes.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { WebhookEvents } from '../models/webhook-subscription.js'
+import { idParams } from './common.js'
+
+const webhookProperties = {
+  url: { type: 'string', minLength: 1, description: 'http or https url requests are sent to' },
+  secret: { type: 'string', minLength: 1, description: 'secret used to sign requests' },
+  events: {
+    type: 'array',
+    items: { type: 'string', enum: Object.values(WebhookEvents) },
+    minItems: 1,
+    uniqueItems: true,
+    description: 'events to subscribe to'
+  }
+}
+
+export const webhookParams = idParams('webhookId')
+
+export const deliveryParams = idParams('id', 'deliveryId')
+
+export const createWebhookBody = {
+  type: 'object',
+  properties: webhookProperties,
+  required: ['url', 'secret', 'events'],
+  additionalProperties: false
+}
+
+export const editWebhookBody = {
+  type: 'object',
+  properties: webhookProperties,
+  minProperties: 1,
+  additionalProperties: false
+}
@@ -0,0 +1,28 @@
+/**
+ * Checks the consistency between fridges and their products, and repairs it with `--repair`.
+ * Prints the problems found as JSON, and exits with 1 if problems were found and not repaired.
+ *
+ * Usage: npm run check-consistency [-- --repair]
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+import { connectDB } from '../config/mongoose.js'
+import { ConsistencyService } from '../services/consistency.js'
+
+try {
+  await connectDB()
+
+  const consistencyService = new ConsistencyService()
+  const report = await consistencyService.check({ repair: process.argv.includes('--repair') })
+
+  console.log(JSON.stringify(report, null, 2))
+  process.exitCode = report.consistent || report.repaired ? 0 : 1
+} catch (err) {
+  console.error(err)
+  process.exitCode = 1
+} finally {
+  await mongoose.disconnect()
+}
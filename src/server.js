@@ -10,6 +10,12 @@ import helmet from 'helmet'
 import logger from 'morgan'
 import { router } from './routes/router.js'
 import { connectDB } from './config/mongoose.js'
+import { ExpiryScheduler, TrashPurgeScheduler } from './services/scheduler.js'
+import { WebhookService } from './services/webhook.js'
+import { MigrationService } from './services/migration.js'
+import { componentSchemas } from './schemas/index.js'
+import { correlationId, sendProblem } from './middleware/problem.js'
+import { PatchTypes } from './utils/patch.js'
 import swaggerUi from 'swagger-ui-express'
 import swaggerJSDoc from 'swagger-jsdoc'
 
@@ -23,11 +29,16 @@ try {
   // Use helmet, send policy to the browser.
   app.use(helmet())
 
+  // Give each request a correlation id, returned in error responses.
+  app.use(correlationId)
+
   // Set up a morgan logger using the dev format for log entries.
   app.use(logger('dev'))
 
-  // Parse requests of the content type application/json.
-  app.use(express.json({ limit: '500kb' }))
+  // Parse requests of the content type application/json, and the JSON patch formats accepted by PATCH routes.
+  // Account archives hold every fridge of a user, so they may be larger.
+  app.use('/api/v1/user/me/import', express.json({ limit: '10mb' }))
+  app.use(express.json({ limit: '500kb', type: ['application/json', PatchTypes.MERGE_PATCH, PatchTypes.JSON_PATCH] }))
 
   // swagger configuration
   const options = {
@@ -36,6 +47,10 @@ try {
       info: {
         title: 'fridgetracker/api/v1',
         version: '1.0.0'
+      },
+      // The schemas requests are validated against.
+      components: {
+        schemas: componentSchemas
       }
     },
     apis: ['src/routes/api/v1/*.js'] // files containing annotations as above
@@ -47,36 +62,23 @@ try {
   // Register routes.
   app.use('/', router)
 
-  // Error handler.
-  app.use(function (err, req, res, next) {
-    err.status = err.status || 500
-
-    if (req.app.get('env') !== 'development') {
-      return res
-        .status(err.status)
-        .json({
-          status: err.status,
-          message: err.message
-        })
-    }
-
-    // Development only!
-    // Only providing detailed error in development.
-    return res
-      .status(err.status)
-      .json({
-        status: err.status,
-        message: err.message,
-        cause: err.cause
-          ? {
-              status: err.cause.status,
-              message: err.cause.message,
-              stack: err.cause.stack
-            }
-          : null,
-        stack: err.stack
-      })
-  })
+  // Error handler, sending errors as problem details.
+  app.use(sendProblem)
+
+  // Apply the data migrations not applied yet.
+  await new MigrationService().run()
+
+  // Move webhooks registered on fridges to subscriptions, and pick up
+  // retries of webhook deliveries interrupted by a restart.
+  const webhookService = new WebhookService()
+  await webhookService.migrateLegacyWebhooks()
+  await webhookService.resumeDeliveries()
+
+  // Start the scheduled sweep notifying webhooks about expiring and expired products.
+  await new ExpiryScheduler().start()
+
+  // Start the scheduled purge of items kept in the trash longer than the retention period.
+  new TrashPurgeScheduler().start()
 
   // Starts the HTTP server listening for connections.
   app.listen(process.env.PORT, () => {
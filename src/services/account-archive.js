@@ -0,0 +1,333 @@
+/**
+ * Module for account archive service, backing up and restoring all fridges of a user.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+import { Fridge } from '../models/fridge.js'
+import { Membership, FridgeRoles } from '../models/membership.js'
+import { Product } from '../models/product.js'
+import { User } from '../models/user.js'
+import { WebhookSubscription } from '../models/webhook-subscription.js'
+import { FridgeService } from './fridge.js'
+import { InventoryService, INVENTORY_FIELDS } from './inventory.js'
+import { TrashService } from './trash.js'
+
+/**
+ * Identifies account archives.
+ */
+export const ARCHIVE_FORMAT = 'fridgetracker-account'
+
+/**
+ * Version of the archive format, raised whenever the format changes.
+ */
+export const ARCHIVE_VERSION = 1
+
+/**
+ * Ways an archive can be imported into an account.
+ */
+export const ImportModes = Object.freeze({
+  MERGE: 'merge',
+  REPLACE: 'replace'
+})
+
+/** Encapsulates an account archive service. */
+export class AccountArchiveService {
+  /**
+   * Creates an archive of the settings of a user and the fridges the user owns,
+   * with their products and webhooks.
+   *
+   * @param {User} user - The user.
+   * @returns {Promise<object>} The archive.
+   */
+  async export (user) {
+    const fridges = await this.#findOwnedFridges(user._id)
+    const fridgeIds = fridges.map(fridge => fridge._id)
+    const products = await Product.find({ fridgeId: { $in: fridgeIds } }).sort({ expirationDate: 1, _id: 1 })
+    const subscriptions = await WebhookSubscription.find({ fridgeId: { $in: fridgeIds } })
+    const inventoryService = new InventoryService()
+
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date(),
+      account: {
+        username: user.username,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email
+      },
+      settings: {
+        expiryWarning: user.expiryWarning?.toJSON() ?? null
+      },
+      fridges: fridges.map(fridge => ({
+        id: fridge.id,
+        name: fridge.name,
+        location: fridge.location,
+        temperature: fridge.temperature,
+        temperatureRange: fridge.temperatureRange?.toJSON() ?? null,
+        expiryWarning: fridge.expiryWarning?.toJSON() ?? null,
+        products: products
+          .filter(product => product.fridgeId.equals(fridge._id))
+          .map(product => ({ id: product.id, ...inventoryService.toRecord(product), expirationDate: product.expirationDate })),
+        webhooks: subscriptions
+          .filter(subscription => subscription.fridgeId.equals(fridge._id))
+          .map(subscription => ({ id: subscription.id, url: subscription.url, secret: subscription.secret, events: subscription.events }))
+      }))
+    }
+  }
+
+  /**
+   * Restores an archive into the account of a user. Every fridge, product and webhook gets a new id.
+   *
+   * In merge mode, archived fridges are added to the fridges of the user. A fridge with the same name
+   * as a fridge the user owns is merged into it, leaving out products and webhooks it already has.
+   * In replace mode, the fridges the user is the only owner of are moved to the trash first, and the settings replaced.
+   *
+   * Nothing is imported if any part of the archive is invalid.
+   *
+   * @param {User} user - The user.
+   * @param {object} archive - The archive, as created by `export`.
+   * @param {string} mode - One of `ImportModes`.
+   * @returns {Promise<object>} The number of fridges, products and webhooks imported and the new id of each archived id, or the `errors` if the archive is invalid.
+   */
+  async import (user, archive, mode) {
+    if (archive?.format !== ARCHIVE_FORMAT || !Array.isArray(archive.fridges)) {
+      return { errors: [`Not an account archive, "format" must be "${ARCHIVE_FORMAT}" and "fridges" an array.`] }
+    }
+    if (archive.version !== ARCHIVE_VERSION) {
+      return { errors: [`Unsupported archive version ${archive.version}, version ${ARCHIVE_VERSION} expected.`] }
+    }
+
+    const ownedFridges = await this.#findOwnedFridges(user._id)
+    const fridgeService = new FridgeService()
+    const replacedFridges = []
+    if (mode === ImportModes.REPLACE) {
+      for (const fridge of ownedFridges) {
+        if (await fridgeService.isLastOwner(await Membership.findForUser(fridge, user.id))) {
+          replacedFridges.push(fridge)
+        }
+      }
+    }
+    const mergeTargets = mode === ImportModes.MERGE
+      ? new Map(ownedFridges.map(fridge => [fridge.name, fridge]))
+      : new Map()
+    const existingProducts = await Product.find({ fridgeId: { $in: [...mergeTargets.values()].map(fridge => fridge._id) } })
+    const existingSubscriptions = await WebhookSubscription.find({ fridgeId: { $in: [...mergeTargets.values()].map(fridge => fridge._id) } })
+
+    const errors = []
+    const idMap = { fridges: {}, products: {}, webhooks: {} }
+    const newFridges = []
+    const newFridgePaths = []
+    const mergedFridges = []
+    const newProducts = []
+    const newSubscriptions = []
+
+    archive.fridges.forEach((archived, i) => {
+      const path = `fridges[${i}]`
+      if (typeof archived !== 'object' || archived === null) {
+        errors.push(`${path}: Fridge must be an object.`)
+        return
+      }
+
+      let fridge = mergeTargets.get(archived.name)
+      if (fridge) {
+        mergedFridges.push(fridge)
+      } else {
+        fridge = new Fridge({
+          name: archived.name,
+          location: archived.location,
+          temperature: archived.temperature,
+          temperatureRange: archived.temperatureRange ?? undefined,
+          expiryWarning: archived.expiryWarning ?? undefined,
+          ownerId: user._id
+        })
+        errors.push(...this.#validate(fridge, path))
+        newFridges.push(fridge)
+        newFridgePaths.push(path)
+      }
+      this.#mapId(idMap.fridges, archived.id, fridge._id)
+
+      for (const [j, archivedProduct] of this.#list(archived.products, `${path}.products`, errors)) {
+        const product = new Product({
+          ...Object.fromEntries(INVENTORY_FIELDS.map(field => [field, archivedProduct[field]])),
+          fridgeId: fridge._id
+        })
+        const existing = existingProducts.find(other => other.fridgeId.equals(fridge._id) &&
+          other.name === product.name &&
+          other.category === product.category &&
+          other.expirationDate?.getTime() === product.expirationDate?.getTime())
+        if (existing) {
+          this.#mapId(idMap.products, archivedProduct.id, existing._id)
+          continue
+        }
+
+        errors.push(...this.#validate(product, `${path}.products[${j}]`))
+        newProducts.push(product)
+        this.#mapId(idMap.products, archivedProduct.id, product._id)
+      }
+
+      for (const [j, archivedWebhook] of this.#list(archived.webhooks, `${path}.webhooks`, errors)) {
+        const existing = existingSubscriptions.find(other => other.fridgeId.equals(fridge._id) && other.url === archivedWebhook.url)
+        if (existing) {
+          this.#mapId(idMap.webhooks, archivedWebhook.id, existing._id)
+          continue
+        }
+
+        const subscription = new WebhookSubscription({
+          fridgeId: fridge._id,
+          url: archivedWebhook.url,
+          secret: archivedWebhook.secret,
+          events: archivedWebhook.events
+        })
+        errors.push(...this.#validate(subscription, `${path}.webhooks[${j}]`))
+        newSubscriptions.push(subscription)
+        this.#mapId(idMap.webhooks, archivedWebhook.id, subscription._id)
+      }
+    })
+
+    errors.push(...await this.#checkNames(newFridges, newFridgePaths, replacedFridges))
+
+    const expiryWarning = archive.settings?.expiryWarning ?? undefined
+    if (expiryWarning !== undefined) {
+      errors.push(...this.#validate(new User({ expiryWarning }), 'settings', ['expiryWarning']))
+    }
+
+    if (errors.length > 0) {
+      return { errors }
+    }
+
+    // New fridges get their products directly, merged fridges get them added below.
+    for (const fridge of newFridges) {
+      fridge.products = newProducts.filter(product => product.fridgeId.equals(fridge._id)).map(product => product._id)
+    }
+
+    const trashService = new TrashService()
+    await mongoose.connection.transaction(async (session) => {
+      // Replaced fridges go to the trash, so an import by mistake can be undone.
+      for (const fridge of replacedFridges) {
+        await trashService.trashFridge(fridge, user._id, { session })
+      }
+
+      await Fridge.insertMany(newFridges, { session })
+      await Membership.insertMany(newFridges.map(fridge => ({ fridgeId: fridge._id, userId: user._id, role: FridgeRoles.OWNER })), { session })
+      await Product.insertMany(newProducts, { session })
+      await WebhookSubscription.insertMany(newSubscriptions, { session })
+
+      for (const fridge of mergedFridges) {
+        const productIds = newProducts.filter(product => product.fridgeId.equals(fridge._id)).map(product => product._id)
+        await Fridge.updateOne({ _id: fridge._id }, { $push: { products: { $each: productIds } }, $inc: { __v: 1 } }, { session })
+      }
+
+      if (mode === ImportModes.REPLACE) {
+        await User.updateOne({ _id: user._id }, expiryWarning ? { expiryWarning } : { $unset: { expiryWarning: '' } }, { session })
+      } else if (expiryWarning && !user.expiryWarning) {
+        await User.updateOne({ _id: user._id }, { expiryWarning }, { session })
+      }
+    })
+
+    return {
+      mode,
+      fridgesCreated: newFridges.length,
+      fridgesMerged: new Set(mergedFridges).size,
+      fridgesDeleted: replacedFridges.length,
+      productsImported: newProducts.length,
+      webhooksImported: newSubscriptions.length,
+      idMap
+    }
+  }
+
+  /**
+   * Checks that the names of new fridges are not taken, as fridge names are unique.
+   * Names of fridges deleted by the import can be taken again.
+   *
+   * @param {Fridge[]} fridges - The new fridges.
+   * @param {string[]} paths - The path of each new fridge in the archive, used in error messages.
+   * @param {Fridge[]} deletedFridges - The fridges deleted by the import.
+   * @returns {Promise<string[]>} The errors, one for each fridge with a name that is taken.
+   */
+  async #checkNames (fridges, paths, deletedFridges) {
+    const taken = await Fridge.find({
+      name: { $in: fridges.map(fridge => fridge.name) },
+      _id: { $nin: deletedFridges.map(fridge => fridge._id) }
+    }).distinct('name')
+    const names = new Set(taken)
+
+    const errors = []
+    fridges.forEach((fridge, i) => {
+      if (names.has(fridge.name)) {
+        errors.push(`${paths[i]}: A fridge named "${fridge.name}" already exists.`)
+      }
+      names.add(fridge.name)
+    })
+    return errors
+  }
+
+  /**
+   * Finds the fridges a user is an owner of.
+   *
+   * @param {string} userId - The id of the user.
+   * @returns {Promise<Fridge[]>} The fridges.
+   */
+  async #findOwnedFridges (userId) {
+    const memberships = await Membership.find({ userId, role: FridgeRoles.OWNER })
+
+    // Fridges created before memberships existed are only linked through ownerId.
+    return Fridge.find({ $or: [{ _id: { $in: memberships.map(membership => membership.fridgeId) } }, { ownerId: userId }] })
+      .sort({ createdAt: 1 })
+  }
+
+  /**
+   * Lists the objects in an optional archived array, recording an error for anything else.
+   *
+   * @param {object[]} [list] - The archived array.
+   * @param {string} path - The path of the array in the archive, used in error messages.
+   * @param {string[]} errors - The errors to add to.
+   * @returns {Array<[number, object]>} The index and value of each object in the array.
+   */
+  #list (list, path, errors) {
+    if (list === undefined || list === null) {
+      return []
+    }
+    if (!Array.isArray(list)) {
+      errors.push(`${path}: Must be an array.`)
+      return []
+    }
+
+    return [...list.entries()].filter(([i, item]) => {
+      if (typeof item !== 'object' || item === null) {
+        errors.push(`${path}[${i}]: Must be an object.`)
+        return false
+      }
+      return true
+    })
+  }
+
+  /**
+   * Validates a document that is about to be imported.
+   *
+   * @param {object} doc - The Mongoose document.
+   * @param {string} path - The path of the document in the archive, used in error messages.
+   * @param {string[]} [paths] - The paths to validate, all paths if not given.
+   * @returns {string[]} The error messages.
+   */
+  #validate (doc, path, paths) {
+    const error = doc.validateSync(paths)
+    return Object.values(error?.errors ?? {}).map(e => `${path}: ${e.message}`)
+  }
+
+  /**
+   * Records the new id of an archived id.
+   *
+   * @param {object} map - The ids of one kind of document, archived id to new id.
+   * @param {string} [archivedId] - The id in the archive, if any.
+   * @param {object} newId - The new ObjectId.
+   */
+  #mapId (map, archivedId, newId) {
+    if (archivedId !== undefined && archivedId !== null) {
+      map[`${archivedId}`] = newId.toHexString()
+    }
+  }
+}
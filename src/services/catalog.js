@@ -0,0 +1,162 @@
+/**
+ * Module for catalog service, filling in new products from the catalog and learning from the products users add.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { CatalogItem, CatalogSources } from '../models/catalog-item.js'
+import { CatalogSuggestion } from '../models/catalog-suggestion.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Product fields a catalog item can fill in, besides the expiration date.
+ */
+const CATALOG_FIELDS = Object.freeze(['name', 'category', 'unit'])
+
+/**
+ * Number of users that must add a barcode with the same value of a field before the catalog learns it.
+ */
+export const LEARN_AGREEMENT = 2
+
+/**
+ * Finds the start of the current day, in UTC like dates given as "YYYY-MM-DD".
+ *
+ * @returns {Date} Midnight today.
+ */
+const today = () => {
+  const date = new Date()
+  date.setUTCHours(0, 0, 0, 0)
+  return date
+}
+
+/** Encapsulates a catalog service. */
+export class CatalogService {
+  /**
+   * Fills in the fields of a new product that are not given from the catalog item of its barcode.
+   * The expiration date is the shelf life of the item from today.
+   *
+   * @param {object} fields - The fields of the product, with a normalized `barcode`.
+   * @returns {Promise<{ fields: object, item: CatalogItem|null }>} The filled in fields, and the catalog item or null if the barcode is not in the catalog.
+   */
+  async autofill (fields) {
+    const item = await CatalogItem.findOne({ barcode: fields.barcode })
+    if (!item) {
+      return { fields, item: null }
+    }
+
+    const filled = { ...fields }
+    for (const field of CATALOG_FIELDS) {
+      filled[field] ??= item[field]
+    }
+    if (filled.expirationDate === undefined && item.shelfLifeDays !== undefined) {
+      filled.expirationDate = new Date(today().getTime() + item.shelfLifeDays * DAY).toISOString()
+    }
+
+    return { fields: filled, item }
+  }
+
+  /**
+   * Learns from a product added with a barcode in the background. Errors are logged
+   * and never reach the caller, so learning never fails a request.
+   *
+   * The product is kept as the suggestion of the user, and a field is only learned once
+   * LEARN_AGREEMENT users have suggested the same value, so one user can not name a barcode for everyone.
+   * A barcode not in the catalog gets a learned item once its name is agreed on. Fields missing
+   * from a learned item are filled in as they are agreed on, items edited by an admin are left as they are.
+   *
+   * @param {object} product - The saved product.
+   * @param {string} userId - The id of the user who added the product.
+   */
+  learn (product, userId) {
+    this.#learn(product, userId)
+      .catch(error => console.error(`Learning barcode ${product.barcode} failed: ${error.message}`))
+  }
+
+  /**
+   * Deletes the suggestions of a user, used when the account is deleted.
+   *
+   * @param {string} userId - The id of the user.
+   */
+  async removeUser (userId) {
+    await CatalogSuggestion.deleteMany({ userId })
+  }
+
+  /**
+   * Learns from a product added with a barcode.
+   *
+   * @param {object} product - The saved product.
+   * @param {string} userId - The id of the user who added the product.
+   */
+  async #learn (product, userId) {
+    const suggestion = Object.fromEntries(CATALOG_FIELDS
+      .filter(field => product[field] !== undefined)
+      .map(field => [field, product[field]]))
+    // Products already expired say nothing about the shelf life.
+    const shelfLifeDays = Math.round((product.expirationDate - today()) / DAY)
+    if (shelfLifeDays >= 0) {
+      suggestion.shelfLifeDays = shelfLifeDays
+    }
+    await CatalogSuggestion.replaceOne(
+      { barcode: product.barcode, userId },
+      { barcode: product.barcode, userId, ...suggestion },
+      { upsert: true, runValidators: true }
+    )
+
+    const fields = this.#agreedFields(await CatalogSuggestion.find({ barcode: product.barcode }))
+
+    // Upserted, so agreement reached by products added at the same time creates one item.
+    if (fields.name !== undefined) {
+      const result = await CatalogItem.updateOne(
+        { barcode: product.barcode },
+        { $setOnInsert: { ...fields, source: CatalogSources.LEARNED } },
+        { upsert: true, runValidators: true }
+      )
+      if (result.upsertedCount > 0) {
+        return
+      }
+    }
+
+    const item = await CatalogItem.findOne({ barcode: product.barcode, source: CatalogSources.LEARNED })
+    if (!item) {
+      return
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      item[field] ??= value
+    }
+    if (item.isModified()) {
+      await item.save()
+    }
+  }
+
+  /**
+   * Finds the fields the suggestions of a barcode agree on, that is the values suggested by
+   * at least LEARN_AGREEMENT users. The shelf life is the shortest one of the users agreeing on the name.
+   *
+   * @param {CatalogSuggestion[]} suggestions - The suggestions of the barcode, one per user.
+   * @returns {object} The agreed fields.
+   */
+  #agreedFields (suggestions) {
+    const fields = {}
+    for (const field of CATALOG_FIELDS) {
+      const counts = new Map()
+      for (const suggestion of suggestions.filter(suggestion => suggestion[field] !== undefined)) {
+        counts.set(suggestion[field], (counts.get(suggestion[field]) ?? 0) + 1)
+      }
+      const agreed = [...counts].find(([, count]) => count >= LEARN_AGREEMENT)
+      if (agreed) {
+        fields[field] = agreed[0]
+      }
+    }
+
+    const shelfLives = suggestions
+      .filter(suggestion => fields.name !== undefined && suggestion.name === fields.name && suggestion.shelfLifeDays !== undefined)
+      .map(suggestion => suggestion.shelfLifeDays)
+    if (shelfLives.length >= LEARN_AGREEMENT) {
+      fields.shelfLifeDays = Math.min(...shelfLives)
+    }
+
+    return fields
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Module for consistency service, finding and repairing broken links between fridges and their products.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { Fridge } from '../models/fridge.js'
+import { Membership } from '../models/membership.js'
+import { Product } from '../models/product.js'
+import { ProductHistory } from '../models/product-history.js'
+import { TemperatureReading } from '../models/temperature-reading.js'
+import { TrashItem, TrashItemTypes } from '../models/trash-item.js'
+import { User } from '../models/user.js'
+import { WebhookDelivery } from '../models/webhook-delivery.js'
+import { WebhookSubscription } from '../models/webhook-subscription.js'
+
+/** Encapsulates a consistency service. */
+export class ConsistencyService {
+  /**
+   * Checks that every product is listed in the `products` of the fridge in its `fridgeId`, and nowhere else,
+   * and that no records are left of deleted fridges and users.
+   *
+   * With `repair`, products of deleted fridges and records belonging to deleted fridges or users are deleted,
+   * references to missing or misplaced products are removed from fridges, and unlisted products are added
+   * to their fridge.
+   *
+   * @param {object} [options] - The options.
+   * @param {boolean} [options.repair] - Whether to repair the problems found.
+   * @returns {Promise<object>} The problems found, and whether they were repaired.
+   */
+  async check ({ repair = false } = {}) {
+    const fridges = Fridge.collection.name
+
+    // Products whose fridge does not exist.
+    const orphanProducts = await Product.aggregate([
+      { $lookup: { from: fridges, localField: 'fridgeId', foreignField: '_id', as: 'fridge' } },
+      { $match: { fridge: { $size: 0 } } },
+      { $project: { _id: 1, fridgeId: 1 } }
+    ])
+
+    // References in fridges to products that do not exist, or are stored in another fridge.
+    const danglingReferences = await Fridge.aggregate([
+      { $unwind: '$products' },
+      { $lookup: { from: Product.collection.name, localField: 'products', foreignField: '_id', as: 'product' } },
+      { $project: { fridgeId: '$_id', productId: '$products', productFridgeId: { $first: '$product.fridgeId' } } },
+      { $match: { $expr: { $ne: ['$productFridgeId', '$fridgeId'] } } }
+    ])
+
+    // Products of existing fridges that are missing from the products of their fridge.
+    const unlistedProducts = await Product.aggregate([
+      { $lookup: { from: fridges, localField: 'fridgeId', foreignField: '_id', as: 'fridge' } },
+      { $match: { 'fridge.0': { $exists: true } } },
+      { $project: { fridgeId: 1, listed: { $in: ['$_id', { $first: '$fridge.products' }] } } },
+      { $match: { listed: false } }
+    ])
+
+    // Records left behind by deleted fridges and users. The product history and temperature readings
+    // of fridges in the trash are kept until they are purged.
+    const trashedFridgeIds = await TrashItem.distinct('fridgeId', { type: TrashItemTypes.FRIDGE })
+    const orphanRecords = {
+      memberships: [...new Set([
+        ...await this.#findWithoutFridge(Membership),
+        ...await this.#findWithout(Membership, 'userId', User)
+      ].map(id => id.toHexString()))],
+      webhookSubscriptions: await this.#findWithoutFridge(WebhookSubscription),
+      webhookDeliveries: await this.#findWithoutFridge(WebhookDelivery),
+      productHistory: await this.#findWithout(ProductHistory, 'fridgeId', Fridge, { fridgeId: { $nin: trashedFridgeIds } }),
+      temperatureReadings: await this.#findWithout(TemperatureReading, 'fridgeId', Fridge, { fridgeId: { $nin: trashedFridgeIds } })
+    }
+
+    if (repair) {
+      // Products may have been changed since they were checked, so each repair checks the product again.
+      for (const { fridgeId, productId } of danglingReferences) {
+        if (!await Product.exists({ _id: productId, fridgeId })) {
+          await Fridge.updateOne({ _id: fridgeId }, { $pull: { products: productId }, $inc: { __v: 1 } })
+        }
+      }
+      for (const { _id, fridgeId } of orphanProducts) {
+        await Product.deleteOne({ _id, fridgeId })
+      }
+      for (const { _id, fridgeId } of unlistedProducts) {
+        if (await Product.exists({ _id, fridgeId })) {
+          await Fridge.updateOne({ _id: fridgeId }, { $addToSet: { products: _id }, $inc: { __v: 1 } })
+        }
+      }
+
+      await Membership.deleteMany({ _id: { $in: orphanRecords.memberships } })
+      await WebhookSubscription.deleteMany({ _id: { $in: orphanRecords.webhookSubscriptions } })
+      await WebhookDelivery.deleteMany({ _id: { $in: orphanRecords.webhookDeliveries } })
+      await ProductHistory.deleteMany({ _id: { $in: orphanRecords.productHistory } })
+      await TemperatureReading.deleteMany({ _id: { $in: orphanRecords.temperatureReadings } })
+    }
+
+    const problems = orphanProducts.length + danglingReferences.length + unlistedProducts.length +
+      Object.values(orphanRecords).reduce((count, ids) => count + ids.length, 0)
+
+    return {
+      checkedAt: new Date(),
+      consistent: problems === 0,
+      repaired: repair && problems > 0,
+      orphanProducts: orphanProducts.map(({ _id, fridgeId }) => ({ productId: _id, fridgeId })),
+      danglingReferences: danglingReferences.map(({ fridgeId, productId, productFridgeId }) => ({ fridgeId, productId, storedInFridgeId: productFridgeId ?? null })),
+      unlistedProducts: unlistedProducts.map(({ _id, fridgeId }) => ({ productId: _id, fridgeId })),
+      orphanRecords
+    }
+  }
+
+  /**
+   * Finds the records of a model whose fridge does not exist.
+   *
+   * @param {object} Model - The Mongoose model, with a `fridgeId` path.
+   * @returns {Promise<string[]>} The ids of the records.
+   */
+  #findWithoutFridge (Model) {
+    return this.#findWithout(Model, 'fridgeId', Fridge)
+  }
+
+  /**
+   * Finds the records of a model referring to a document that does not exist.
+   *
+   * @param {object} Model - The Mongoose model.
+   * @param {string} path - The path of the reference.
+   * @param {object} Referenced - The Mongoose model referred to.
+   * @param {object} [filter] - Further conditions on the records.
+   * @returns {Promise<string[]>} The ids of the records.
+   */
+  async #findWithout (Model, path, Referenced, filter = {}) {
+    const records = await Model.aggregate([
+      { $match: filter },
+      { $lookup: { from: Referenced.collection.name, localField: path, foreignField: '_id', pipeline: [{ $project: { _id: 1 } }], as: 'referenced' } },
+      { $match: { referenced: { $size: 0 } } },
+      { $project: { _id: 1 } }
+    ])
+
+    return records.map(record => record._id.toHexString())
+  }
+}
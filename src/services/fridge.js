@@ -0,0 +1,198 @@
+/**
+ * Module for fridge service.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+import { Fridge } from '../models/fridge.js'
+import { Product } from '../models/product.js'
+import { ProductHistory, RemovalReasons } from '../models/product-history.js'
+import { Membership, FridgeRoles } from '../models/membership.js'
+import { TemperatureReading } from '../models/temperature-reading.js'
+import { TrashItem } from '../models/trash-item.js'
+import { WebhookSubscription } from '../models/webhook-subscription.js'
+import { WebhookDelivery } from '../models/webhook-delivery.js'
+
+/** Encapsulates a fridge service. */
+export class FridgeService {
+  /**
+   * Creates a query matching every fridge a user is a member of.
+   *
+   * @param {string} userId - The id of the user.
+   * @returns {Promise<object>} The query for `Fridge.find`.
+   */
+  async memberFilter (userId) {
+    const memberships = await Membership.find({ userId })
+
+    // Fridges created before memberships existed are only linked through ownerId.
+    return { $or: [{ _id: { $in: memberships.map(membership => membership.fridgeId) } }, { ownerId: userId }] }
+  }
+
+  /**
+   * Saves a new fridge together with the owner membership of its owner, in a transaction.
+   *
+   * @param {Fridge} fridge - The new fridge, not saved yet.
+   */
+  async create (fridge) {
+    await mongoose.connection.transaction(async (session) => {
+      await fridge.save({ session })
+      await Membership.create([{ fridgeId: fridge._id, userId: fridge.ownerId, role: FridgeRoles.OWNER }], { session })
+    })
+  }
+
+  /**
+   * Deletes a fridge permanently together with its products, product history, temperature readings,
+   * members, webhooks and products of it in the trash. Everything is deleted in one transaction, the given one or a new one.
+   *
+   * @param {Fridge} fridge - The fridge to delete.
+   * @param {object} [options] - Options for the deletes, such as the `session` of a transaction.
+   */
+  async delete (fridge, options = {}) {
+    if (!options.session) {
+      await mongoose.connection.transaction(session => this.delete(fridge, { ...options, session }))
+      return
+    }
+
+    await Product.deleteMany({ fridgeId: fridge._id }, options)
+    await Membership.deleteMany({ fridgeId: fridge._id }, options)
+    await WebhookSubscription.deleteMany({ fridgeId: fridge._id }, options)
+    await WebhookDelivery.deleteMany({ fridgeId: fridge._id }, options)
+    await ProductHistory.deleteMany({ fridgeId: fridge._id }, options)
+    await TemperatureReading.deleteMany({ fridgeId: fridge._id }, options)
+    await TrashItem.deleteMany({ fridgeId: fridge._id }, options)
+    await Fridge.deleteOne({ _id: fridge._id }, options)
+  }
+
+  /**
+   * Adds new products to a fridge in a transaction, so either all of them are added or none.
+   *
+   * @param {Fridge} fridge - The fridge.
+   * @param {Product[]} products - The new products, not saved yet.
+   */
+  async addProducts (fridge, products) {
+    await mongoose.connection.transaction(async (session) => {
+      await Product.insertMany(products, { session })
+      await Fridge.updateOne(
+        { _id: fridge._id },
+        { $push: { products: { $each: products.map(product => product._id) } }, $inc: { __v: 1 } },
+        { session }
+      )
+    })
+  }
+
+  /**
+   * Removes a product from its fridge in a transaction, recording why in the product history.
+   *
+   * @param {Fridge} fridge - The fridge.
+   * @param {Product} product - The product.
+   * @param {string} reason - The reason, one of `RemovalReasons`.
+   * @param {string} userId - The id of the user removing the product.
+   */
+  async removeProduct (fridge, product, reason, userId) {
+    await mongoose.connection.transaction(async (session) => {
+      await Fridge.updateOne({ _id: fridge._id }, { $pull: { products: product._id }, $inc: { __v: 1 } }, { session })
+      await Product.deleteOne({ _id: product._id }, { session })
+      await ProductHistory.record(product, reason, userId, { session })
+    })
+  }
+
+  /**
+   * Moves products from one fridge to another in a transaction, so both fridges and
+   * the products are either all updated or not at all.
+   *
+   * @param {Product[]} products - The products to move, all stored in the source fridge.
+   * @param {Fridge} source - The fridge the products are moved from.
+   * @param {Fridge} target - The fridge the products are moved to.
+   * @param {string} userId - The id of the user moving the products.
+   * @returns {Promise<boolean>} True if the products were moved, false if one of them was changed or removed while moving.
+   */
+  async moveProducts (products, source, target, userId) {
+    const productIds = products.map(product => product._id)
+    const changed = new Error('Products were changed while moving.')
+
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        // Products in the new fridge have not been notified as expiring or expired to its webhooks.
+        const { modifiedCount } = await Product.updateMany(
+          { _id: { $in: productIds }, fridgeId: source._id },
+          { fridgeId: target._id, $unset: { expiringNotifiedAt: '', expiredNotifiedAt: '' }, $inc: { __v: 1 } },
+          { session }
+        )
+        if (modifiedCount !== productIds.length) {
+          throw changed
+        }
+
+        await Fridge.updateOne({ _id: source._id }, { $pull: { products: { $in: productIds } }, $inc: { __v: 1 } }, { session })
+        await Fridge.updateOne({ _id: target._id }, { $addToSet: { products: { $each: productIds } }, $inc: { __v: 1 } }, { session })
+
+        for (const product of products) {
+          await ProductHistory.record(product, RemovalReasons.MOVED, userId, { session })
+        }
+      })
+    } catch (error) {
+      if (error === changed) {
+        return false
+      }
+      throw error
+    }
+
+    return true
+  }
+
+  /**
+   * Checks if a membership is the only owner membership of its fridge.
+   *
+   * @param {Membership} membership - The membership.
+   * @returns {Promise<boolean>} True if the membership is an owner and there is no other owner.
+   */
+  async isLastOwner (membership) {
+    if (membership.role !== FridgeRoles.OWNER) {
+      return false
+    }
+
+    const owners = await Membership.countDocuments({ fridgeId: membership.fridgeId, role: FridgeRoles.OWNER })
+    return owners <= 1
+  }
+
+  /**
+   * Removes a member from a fridge. The caller makes sure the fridge keeps an owner.
+   *
+   * @param {Fridge} fridge - The fridge.
+   * @param {Membership} membership - The membership to remove.
+   */
+  async removeMember (fridge, membership) {
+    await membership.deleteOne()
+
+    // Hand the fridge over to a remaining owner, so the removed user does not regain access through ownerId.
+    if (fridge.ownerId.equals(membership.userId)) {
+      const owner = await Membership.findOne({ fridgeId: fridge._id, role: FridgeRoles.OWNER })
+      fridge.ownerId = owner.userId
+      await fridge.save()
+    }
+  }
+
+  /**
+   * Removes a user from every fridge, deleting the fridges the user is the only owner of.
+   *
+   * @param {string} userId - The id of the user.
+   */
+  async removeUser (userId) {
+    // Make sure fridges only linked through ownerId have their owner membership.
+    for (const fridge of await Fridge.find({ ownerId: userId })) {
+      await Membership.findForUser(fridge, userId)
+    }
+
+    for (const membership of await Membership.find({ userId })) {
+      const fridge = await Fridge.findById(membership.fridgeId)
+      if (!fridge) {
+        await membership.deleteOne()
+      } else if (await this.isLastOwner(membership)) {
+        await this.delete(fridge)
+      } else {
+        await this.removeMember(fridge, membership)
+      }
+    }
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Module for inventory service, importing and exporting the products of a fridge.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { parse } from 'csv-parse/sync'
+import { stringify } from 'csv-stringify/sync'
+import { Product } from '../models/product.js'
+
+/**
+ * Product fields included in imports and exports, in the order of CSV columns.
+ */
+export const INVENTORY_FIELDS = Object.freeze(['name', 'expirationDate', 'category', 'price', 'quantity', 'unit'])
+
+/**
+ * Most products imported at once.
+ */
+export const MAX_IMPORT_ROWS = 1000
+
+/**
+ * Matches cell values a spreadsheet would run as a formula.
+ */
+const FORMULA_START = /^[=+\-@\t\r]/
+
+/**
+ * Puts a quote before text a spreadsheet would run as a formula, so it is shown as text.
+ *
+ * @param {string} value - The cell value.
+ * @returns {string} The escaped value.
+ */
+const escapeFormula = (value) => FORMULA_START.test(value) ? `'${value}` : value
+
+/** Encapsulates an inventory service. */
+export class InventoryService {
+  /**
+   * Parses CSV with a header row naming the columns.
+   *
+   * @param {string} csv - The CSV text.
+   * @returns {object[]} One object per row, empty cells are left out and the quote put before formulas by exports removed.
+   * @throws {Error} If the CSV is malformed.
+   */
+  parseCsv (csv) {
+    const rows = parse(csv, {
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+      bom: true
+    })
+
+    return rows.map(row => Object.fromEntries(Object.entries(row)
+      .filter(([, value]) => value !== '')
+      .map(([field, value]) => [field, value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value])))
+  }
+
+  /**
+   * Creates products for a fridge from imported rows, validating each of them.
+   *
+   * @param {object[]} rows - The imported rows, with the fields in `INVENTORY_FIELDS`.
+   * @param {object} fridge - The fridge to add the products to.
+   * @returns {{ products: Product[], errors: { row: number, messages: string[] }[] }} The valid products, not saved yet, and the validation errors of the other rows, numbered from 1.
+   */
+  createProducts (rows, fridge) {
+    const products = []
+    const errors = []
+
+    rows.forEach((row, index) => {
+      if (typeof row !== 'object' || row === null || Array.isArray(row)) {
+        errors.push({ row: index + 1, messages: ['Row must be an object.'] })
+        return
+      }
+
+      const product = new Product({
+        ...Object.fromEntries(INVENTORY_FIELDS.map(field => [field, row[field]])),
+        fridgeId: fridge._id
+      })
+
+      const error = product.validateSync()
+      const messages = Object.values(error?.errors ?? {}).map(e => e.path === 'expirationDate' && e.kind !== 'required'
+        ? 'Invalid expiration date format. "YYYY-MM-DD" expected.'
+        : e.message)
+
+      if (messages.length > 0) {
+        errors.push({ row: index + 1, messages })
+      } else {
+        products.push(product)
+      }
+    })
+
+    return { products, errors }
+  }
+
+  /**
+   * Converts a product to a plain record with the fields in `INVENTORY_FIELDS`.
+   *
+   * @param {Product} product - The product document.
+   * @returns {object} The record, expiration date as "YYYY-MM-DD".
+   */
+  toRecord (product) {
+    const record = {}
+    for (const field of INVENTORY_FIELDS) {
+      if (product[field] !== undefined && product[field] !== null) {
+        record[field] = product[field]
+      }
+    }
+    record.expirationDate = product.expirationDate?.toISOString().slice(0, 10)
+
+    return record
+  }
+
+  /**
+   * Converts products to CSV with a header row, the same format as is imported.
+   * Text starting like a formula is escaped.
+   *
+   * @param {Product[]} products - The product documents.
+   * @returns {string} The CSV text.
+   */
+  toCsv (products) {
+    return stringify(products.map(product => this.toRecord(product)), {
+      header: true,
+      columns: [...INVENTORY_FIELDS],
+      cast: { string: escapeFormula }
+    })
+  }
+}
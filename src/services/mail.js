@@ -0,0 +1,77 @@
+/**
+ * Module for mail service.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+
+/** Mail transport writing mails to the console, for local use. */
+export class ConsoleTransport {
+  /**
+   * Sends a mail.
+   *
+   * @param {{ to: string, subject: string, text: string }} mail - The mail.
+   */
+  async send (mail) {
+    console.log(`Mail to: ${mail.to}\nSubject: ${mail.subject}\n\n${mail.text}\n`)
+  }
+}
+
+/** Mail transport writing each mail to a file in a directory, for local use. */
+export class FileTransport {
+  /**
+   * Initializes a new instance.
+   *
+   * @param {string} [directory] - The directory to write mails to, defaults to MAIL_DIRECTORY or "mail".
+   */
+  constructor (directory = process.env.MAIL_DIRECTORY || 'mail') {
+    this.directory = directory
+  }
+
+  /**
+   * Sends a mail.
+   *
+   * @param {{ to: string, subject: string, text: string }} mail - The mail.
+   */
+  async send (mail) {
+    await fs.mkdir(this.directory, { recursive: true })
+    await fs.writeFile(
+      path.join(this.directory, `${Date.now()}-${crypto.randomUUID()}.txt`),
+      `To: ${mail.to}\nSubject: ${mail.subject}\n\n${mail.text}\n`
+    )
+  }
+}
+
+/**
+ * Available transports by name, register another transport here to send real mails.
+ */
+export const transports = {
+  console: ConsoleTransport,
+  file: FileTransport
+}
+
+/** Encapsulates a mail service. */
+export class MailService {
+  /**
+   * Initializes a new instance.
+   *
+   * @param {object} [transport] - The transport, defaults to the one named by MAIL_TRANSPORT or the console transport.
+   */
+  constructor (transport) {
+    const Transport = transports[process.env.MAIL_TRANSPORT] || ConsoleTransport
+    this.transport = transport || new Transport()
+  }
+
+  /**
+   * Sends a mail.
+   *
+   * @param {{ to: string, subject: string, text: string }} mail - The mail.
+   */
+  async send (mail) {
+    await this.transport.send(mail)
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Module for migration service, applying each data migration to the database once.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { AuditLog } from '../models/audit-log.js'
+import { Migration } from '../models/migration.js'
+import { User } from '../models/user.js'
+import { WebhookDelivery, deliveryRetention } from '../models/webhook-delivery.js'
+import { DEFAULT_PERMISSION_LEVEL, PermissionLevels } from '../middleware/auth.js'
+
+/** Encapsulates a migration service. */
+export class MigrationService {
+  /**
+   * Applies the migrations not applied yet, in order, recording each of them when done.
+   */
+  async run () {
+    const migrations = [
+      ['legacy-permission-levels', () => this.#upgradeLegacyPermissionLevels()],
+      ['webhook-delivery-expiry', () => this.#expireLegacyDeliveries()]
+    ]
+
+    for (const [name, migrate] of migrations) {
+      if (await Migration.exists({ name })) {
+        continue
+      }
+
+      const details = await migrate()
+      await Migration.create({ name, details })
+      console.log(`Applied migration ${name}`)
+    }
+  }
+
+  /**
+   * Gives accounts registered before permission levels were enforced, which only hold
+   * the READ flag, the default permission level. Users an admin has changed the level of are left as they are.
+   *
+   * @returns {Promise<{ users: number }>} The number of accounts upgraded.
+   */
+  async #upgradeLegacyPermissionLevels () {
+    const changedByAdmin = await AuditLog.distinct('targetId', { action: 'user.permission_level' })
+    const result = await User.updateMany(
+      { permissionLevel: PermissionLevels.READ, _id: { $nin: changedByAdmin } },
+      { permissionLevel: DEFAULT_PERMISSION_LEVEL }
+    )
+
+    return { users: result.modifiedCount }
+  }
+
+  /**
+   * Gives webhook deliveries made before deliveries expired an expiry date, their
+   * retention period from when they were created, so MongoDB removes them too.
+   *
+   * @returns {Promise<{ deliveries: number }>} The number of deliveries given an expiry date.
+   */
+  async #expireLegacyDeliveries () {
+    const result = await WebhookDelivery.updateMany(
+      { expiresAt: { $exists: false } },
+      [{ $set: { expiresAt: { $add: ['$createdAt', deliveryRetention()] } } }]
+    )
+
+    return { deliveries: result.modifiedCount }
+  }
+}
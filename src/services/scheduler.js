@@ -0,0 +1,177 @@
+/**
+ * Module for the expiry sweep and trash purge schedulers.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { SweepRun } from '../models/sweep-run.js'
+import { TrashService } from './trash.js'
+import { WebhookService } from './webhook.js'
+
+// Longest delay setTimeout supports, longer delays run after 1 ms instead.
+const MAX_TIMEOUT = 2 ** 31 - 1
+
+/**
+ * Converts an interval in minutes to milliseconds.
+ *
+ * @param {number} minutes - The interval in minutes.
+ * @returns {number} The interval in milliseconds.
+ * @throws {RangeError} If the interval is longer than a timer supports, about 24.8 days.
+ */
+const toInterval = (minutes) => {
+  const interval = minutes * 60 * 1000
+  if (interval > MAX_TIMEOUT) {
+    throw new RangeError(`Interval of ${minutes} minutes is too long, at most ${Math.floor(MAX_TIMEOUT / 60 / 1000)} minutes are supported.`)
+  }
+  return interval
+}
+
+/** Runs the expiry sweep on a fixed interval. */
+export class ExpiryScheduler {
+  /**
+   * The interval between sweeps, in milliseconds.
+   *
+   * @type {number}
+   */
+  interval
+
+  /**
+   * The timer of the next sweep.
+   *
+   * @type {object}
+   */
+  #timer
+
+  /**
+   * Initializes a new instance.
+   *
+   * @param {number} [interval] - Minutes between sweeps, defaults to SWEEP_INTERVAL_MINUTES or 60.
+   * @param {WebhookService} [webhookService] - The service performing the sweep.
+   * @throws {RangeError} If the interval is longer than a timer supports.
+   */
+  constructor (interval = Number(process.env.SWEEP_INTERVAL_MINUTES ?? 60), webhookService = new WebhookService()) {
+    this.interval = toInterval(interval)
+    this.webhookService = webhookService
+  }
+
+  /**
+   * Starts the scheduler. The first sweep is scheduled one interval after the
+   * last recorded scheduled run, so restarting the server does not reset the schedule.
+   * An interval of 0 disables the scheduler.
+   */
+  async start () {
+    if (!(this.interval > 0)) {
+      return
+    }
+
+    const lastRun = await SweepRun.findOne({ trigger: 'schedule' }).sort({ startedAt: -1 })
+    const delay = lastRun
+      ? Math.max(0, lastRun.startedAt.getTime() + this.interval - Date.now())
+      : 0
+
+    this.#schedule(delay)
+  }
+
+  /**
+   * Stops the scheduler.
+   */
+  stop () {
+    clearTimeout(this.#timer)
+  }
+
+  /**
+   * Schedules the next sweep.
+   *
+   * @param {number} delay - Milliseconds until the sweep.
+   */
+  #schedule (delay) {
+    this.#timer = setTimeout(() => this.#run(), delay)
+    this.#timer.unref()
+  }
+
+  /**
+   * Runs a sweep and schedules the next one.
+   */
+  async #run () {
+    try {
+      const run = await this.webhookService.sweep('schedule')
+      if (run.error) {
+        console.error(`Expiry sweep failed: ${run.error}`)
+      }
+    } catch (error) {
+      console.error(`Expiry sweep failed: ${error.message}`)
+    } finally {
+      this.#schedule(this.interval)
+    }
+  }
+}
+
+/** Permanently deletes items whose retention period in the trash has passed, on a fixed interval. */
+export class TrashPurgeScheduler {
+  /**
+   * The interval between purges, in milliseconds.
+   *
+   * @type {number}
+   */
+  interval
+
+  /**
+   * The timer of the next purge.
+   *
+   * @type {object}
+   */
+  #timer
+
+  /**
+   * Initializes a new instance.
+   *
+   * @param {number} [interval] - Minutes between purges, defaults to TRASH_PURGE_INTERVAL_MINUTES or 60.
+   * @param {TrashService} [trashService] - The service performing the purge.
+   * @throws {RangeError} If the interval is longer than a timer supports.
+   */
+  constructor (interval = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES ?? 60), trashService = new TrashService()) {
+    this.interval = toInterval(interval)
+    this.trashService = trashService
+  }
+
+  /**
+   * Starts the scheduler with a purge right away, items may have expired while the server was down.
+   * An interval of 0 disables the scheduler.
+   */
+  start () {
+    if (this.interval > 0) {
+      this.#schedule(0)
+    }
+  }
+
+  /**
+   * Stops the scheduler.
+   */
+  stop () {
+    clearTimeout(this.#timer)
+  }
+
+  /**
+   * Schedules the next purge.
+   *
+   * @param {number} delay - Milliseconds until the purge.
+   */
+  #schedule (delay) {
+    this.#timer = setTimeout(() => this.#run(), delay)
+    this.#timer.unref()
+  }
+
+  /**
+   * Runs a purge and schedules the next one.
+   */
+  async #run () {
+    try {
+      await this.trashService.purgeExpired()
+    } catch (error) {
+      console.error(`Trash purge failed: ${error.message}`)
+    } finally {
+      this.#schedule(this.interval)
+    }
+  }
+}
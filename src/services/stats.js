@@ -0,0 +1,126 @@
+/**
+ * Module for statistics service.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { ProductHistory, RemovalReasons } from '../models/product-history.js'
+
+/**
+ * Lengths of the periods trends are reported in.
+ */
+export const StatsIntervals = Object.freeze({
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month'
+})
+
+// Formats naming the period a date belongs to, for each interval.
+const periodFormats = Object.freeze({
+  [StatsIntervals.DAY]: '%Y-%m-%d',
+  [StatsIntervals.WEEK]: '%G-W%V',
+  [StatsIntervals.MONTH]: '%Y-%m'
+})
+
+// Statistics cover the last year if no start is given.
+const DEFAULT_PERIOD = 365 * 24 * 60 * 60 * 1000
+
+/**
+ * Reads the period of statistics from the query string, `?from`, `?to` and `?interval`.
+ *
+ * @param {object} query - The parsed query string, as in `req.query`.
+ * @returns {{ from: Date, to: Date, interval: string }|null} The period, or null if the query string is invalid.
+ */
+export const statsPeriod = (query) => {
+  const to = query.to ? new Date(query.to) : new Date()
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_PERIOD)
+  const interval = query.interval || StatsIntervals.MONTH
+
+  if (isNaN(from) || isNaN(to) || from >= to || !Object.values(StatsIntervals).includes(interval)) {
+    return null
+  }
+
+  return { from, to, interval }
+}
+
+/** Encapsulates a statistics service. */
+export class StatsService {
+  /**
+   * Summarizes the products consumed and wasted in fridges during a period.
+   *
+   * @param {object[]} fridgeIds - The ids of the fridges, as ObjectIds.
+   * @param {{ from: Date, to: Date, interval: string }} period - The period, see `statsPeriod`.
+   * @returns {Promise<object>} The statistics.
+   */
+  async summarize (fridgeIds, { from, to, interval }) {
+    const [facets] = await ProductHistory.aggregate([
+      { $match: { fridgeId: { $in: fridgeIds }, removedAt: { $gte: from, $lt: to } } },
+      {
+        $facet: {
+          totals: [
+            { $group: { _id: '$reason', count: { $sum: 1 }, value: { $sum: { $ifNull: ['$price', 0] } } } }
+          ],
+          wasteByCategory: [
+            { $match: { reason: RemovalReasons.WASTED } },
+            { $group: { _id: '$category', count: { $sum: 1 }, value: { $sum: { $ifNull: ['$price', 0] } } } },
+            { $sort: { value: -1, count: -1 } }
+          ],
+          trends: [
+            { $match: { reason: { $in: [RemovalReasons.CONSUMED, RemovalReasons.WASTED] } } },
+            {
+              $group: {
+                _id: { period: { $dateToString: { format: periodFormats[interval], date: '$removedAt' } }, reason: '$reason' },
+                count: { $sum: 1 },
+                value: { $sum: { $ifNull: ['$price', 0] } }
+              }
+            },
+            { $sort: { '_id.period': 1 } }
+          ]
+        }
+      }
+    ])
+
+    const totals = Object.fromEntries(Object.values(RemovalReasons).map(reason => [reason, { count: 0, value: 0 }]))
+    for (const { _id: reason, count, value } of facets.totals) {
+      totals[reason] = { count, value: this.#round(value) }
+    }
+
+    const trends = new Map()
+    for (const { _id: { period, reason }, count, value } of facets.trends) {
+      const trend = trends.get(period) ?? { period, consumed: 0, wasted: 0, moneyWasted: 0 }
+      trend[reason] = count
+      if (reason === RemovalReasons.WASTED) {
+        trend.moneyWasted = this.#round(value)
+      }
+      trends.set(period, trend)
+    }
+
+    const eatenOrWasted = totals.consumed.count + totals.wasted.count
+
+    return {
+      from,
+      to,
+      interval,
+      ...totals,
+      moneyWasted: totals.wasted.value,
+      wasteRate: eatenOrWasted > 0 ? this.#round(totals.wasted.count / eatenOrWasted) : null,
+      wasteByCategory: facets.wasteByCategory.map(({ _id: category, count, value }) => ({
+        category: category ?? null,
+        count,
+        moneyWasted: this.#round(value)
+      })),
+      trends: [...trends.values()]
+    }
+  }
+
+  /**
+   * Rounds an amount of money, or a rate, to two decimals.
+   *
+   * @param {number} value - The value.
+   * @returns {number} The rounded value.
+   */
+  #round (value) {
+    return Math.round(value * 100) / 100
+  }
+}
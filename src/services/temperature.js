@@ -0,0 +1,201 @@
+/**
+ * Module for temperature service, recording the temperature readings of fridges.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import { Fridge } from '../models/fridge.js'
+import { TemperatureReading } from '../models/temperature-reading.js'
+import { WebhookEvents } from '../models/webhook-subscription.js'
+import { WebhookService } from './webhook.js'
+
+/**
+ * Lengths of the periods readings can be aggregated in.
+ */
+export const TemperatureIntervals = Object.freeze({
+  HOUR: 'hour',
+  DAY: 'day'
+})
+
+/**
+ * Most readings recorded at once.
+ */
+export const MAX_READINGS = 1000
+
+// Readings cover the last day if no start is given.
+const DEFAULT_PERIOD = 24 * 60 * 60 * 1000
+
+// How far ahead of the server clock a reading may be recorded, for sensors with clocks running fast.
+const CLOCK_TOLERANCE = 60 * 1000
+
+/**
+ * Reads the period of readings from the query string, `?from`, `?to` and the optional `?interval`.
+ *
+ * @param {object} query - The parsed query string, as in `req.query`.
+ * @returns {{ from: Date, to: Date, interval?: string }|null} The period, or null if the query string is invalid.
+ */
+export const temperaturePeriod = (query) => {
+  const to = query.to ? new Date(query.to) : new Date()
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_PERIOD)
+  const interval = query.interval
+
+  if (isNaN(from) || isNaN(to) || from >= to || (interval && !Object.values(TemperatureIntervals).includes(interval))) {
+    return null
+  }
+
+  return { from, to, interval }
+}
+
+/**
+ * Checks if a temperature is outside the allowed range of a fridge.
+ *
+ * @param {object} [range] - The allowed range, with an optional `min` and `max`.
+ * @param {number} temperature - The temperature.
+ * @returns {boolean} True if the temperature is below `min` or above `max`.
+ */
+export const isOutOfRange = (range, temperature) =>
+  (typeof range?.min === 'number' && temperature < range.min) ||
+  (typeof range?.max === 'number' && temperature > range.max)
+
+/** Encapsulates a temperature service. */
+export class TemperatureService {
+  /**
+   * Creates temperature readings for a fridge, validating each of them.
+   *
+   * @param {object[]} entries - The readings, with a `temperature` and an optional `recordedAt` defaulting to now.
+   * @param {object} fridge - The fridge.
+   * @param {string} [userId] - The id of the user recording the readings.
+   * @returns {{ readings: TemperatureReading[], errors: { index: number, messages: string[] }[] }} The valid readings, not saved yet, and the validation errors of the other entries, numbered from 0.
+   */
+  createReadings (entries, fridge, userId) {
+    const readings = []
+    const errors = []
+
+    entries.forEach((entry, index) => {
+      if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+        errors.push({ index, messages: ['Reading must be an object.'] })
+        return
+      }
+
+      const reading = new TemperatureReading({
+        fridgeId: fridge._id,
+        userId,
+        temperature: entry.temperature,
+        recordedAt: entry.recordedAt
+      })
+
+      const error = reading.validateSync()
+      const messages = Object.values(error?.errors ?? {}).map(e => e.path === 'temperature' && e.kind !== 'required'
+        ? 'Temperature must be a number.'
+        : e.path === 'recordedAt' ? 'Invalid recordedAt, a date and time expected.' : e.message)
+      if (!error?.errors?.recordedAt && reading.recordedAt.getTime() > Date.now() + CLOCK_TOLERANCE) {
+        messages.push('Recorded time can not be in the future.')
+      }
+
+      if (messages.length > 0) {
+        errors.push({ index, messages })
+      } else {
+        readings.push(reading)
+      }
+    })
+
+    return { readings, errors }
+  }
+
+  /**
+   * Saves readings of a fridge. The temperature of the fridge is set to the latest reading,
+   * and the alert state of the fridge is updated.
+   *
+   * @param {object} fridge - The fridge.
+   * @param {TemperatureReading[]} readings - The readings, not saved yet.
+   */
+  async record (fridge, readings) {
+    await TemperatureReading.insertMany(readings)
+
+    const latest = await TemperatureReading.findOne({ fridgeId: fridge._id }).sort({ recordedAt: -1, _id: -1 })
+    if (latest && fridge.temperature !== latest.temperature) {
+      await this.#updateFridge(fridge, {}, { temperature: latest.temperature })
+      fridge.temperature = latest.temperature
+    }
+
+    await this.checkAlert(fridge)
+  }
+
+  /**
+   * Checks the latest reading of a fridge against its allowed range. When the fridge goes out of range
+   * the `fridge.temperature_alert` event is emitted once, it is emitted again only after a reading back
+   * inside the range.
+   *
+   * @param {object} fridge - The fridge, with its current `temperatureRange`.
+   */
+  async checkAlert (fridge) {
+    const latest = await TemperatureReading.findOne({ fridgeId: fridge._id }).sort({ recordedAt: -1, _id: -1 })
+
+    if (!latest || !isOutOfRange(fridge.temperatureRange, latest.temperature)) {
+      await this.#updateFridge(fridge, { temperatureAlertSince: { $exists: true } }, { $unset: { temperatureAlertSince: '' } })
+      fridge.temperatureAlertSince = undefined
+      return
+    }
+
+    // Only the request that raises the alert emits it, concurrent readings find it raised.
+    const raised = await this.#updateFridge(fridge, { temperatureAlertSince: { $exists: false } }, { temperatureAlertSince: latest.recordedAt })
+    if (!raised) {
+      return
+    }
+    fridge.temperatureAlertSince = raised.temperatureAlertSince
+
+    const webhookService = new WebhookService()
+    webhookService.emit(raised, WebhookEvents.FRIDGE_TEMPERATURE_ALERT, {
+      fridgeId: raised._id,
+      temperature: latest.temperature,
+      recordedAt: latest.recordedAt,
+      temperatureRange: raised.temperatureRange
+    })
+  }
+
+  /**
+   * Finds the readings of a fridge in a period, aggregated per hour or day if an interval is given.
+   * Aggregated periods contain the `count` of readings and their `min`, `max` and `avg`.
+   *
+   * @param {object} fridgeId - The id of the fridge, as an ObjectId.
+   * @param {{ from: Date, to: Date, interval: string }} period - The period and interval, see `temperaturePeriod`.
+   * @returns {Promise<object[]>} The periods, oldest first.
+   */
+  async aggregate (fridgeId, { from, to, interval }) {
+    const periods = await TemperatureReading.aggregate([
+      { $match: { fridgeId, recordedAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$recordedAt', unit: interval } },
+          count: { $sum: 1 },
+          min: { $min: '$temperature' },
+          max: { $max: '$temperature' },
+          avg: { $avg: '$temperature' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ])
+
+    return periods.map(({ _id, count, min, max, avg }) => ({ period: _id, count, min, max, avg: Math.round(avg * 100) / 100 }))
+  }
+
+  /**
+   * Updates a fridge and increments its version, so its ETag changes.
+   * The version of the fridge document is kept in step with the stored one.
+   *
+   * @param {Fridge} fridge - The fridge document.
+   * @param {object} filter - Further conditions the fridge must match to be updated.
+   * @param {object} update - The update.
+   * @returns {Promise<Fridge|null>} The updated fridge, or null if it did not match.
+   */
+  async #updateFridge (fridge, filter, update) {
+    const updated = await Fridge.findOneAndUpdate({ _id: fridge._id, ...filter }, { ...update, $inc: { __v: 1 } }, { new: true })
+    if (updated) {
+      fridge.__v = updated.__v
+      fridge.unmarkModified('__v')
+    }
+
+    return updated
+  }
+}
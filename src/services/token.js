@@ -0,0 +1,147 @@
+/**
+ * Module for token service.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { RefreshToken } from '../models/refresh-token.js'
+import { RevokedToken } from '../models/revoked-token.js'
+import { User } from '../models/user.js'
+
+/** Encapsulates a token service. */
+export class TokenService {
+  /**
+   * Issues an access token and a refresh token for a user.
+   *
+   * @param {User} user - The authenticated user.
+   * @param {string} [family] - The family of the refresh token, a new family is started if not given.
+   * @returns {Promise<{ accessToken: string, refreshToken: string }>} The tokens.
+   */
+  async issue (user, family = crypto.randomUUID()) {
+    const payload = {
+      sub: user.username,
+      given_name: user.firstName,
+      family_name: user.lastName,
+      email: user.email,
+      id: user.id,
+      x_permission_level: user.permissionLevel
+    }
+
+    // Create the access token.
+    const accessToken = jwt.sign(payload, process.env.PRIVATE_KEY, {
+      algorithm: 'RS256',
+      expiresIn: process.env.ACCESS_TOKEN_LIFE,
+      jwtid: crypto.randomUUID()
+    })
+
+    // Create the refresh token, only its hash is stored.
+    const refreshToken = crypto.randomBytes(48).toString('base64url')
+    await RefreshToken.create({
+      userId: user._id,
+      tokenHash: this.#hash(refreshToken),
+      family,
+      expiresAt: new Date(Date.now() + Number(process.env.REFRESH_TOKEN_LIFE || 30 * 24 * 60 * 60) * 1000)
+    })
+
+    return { accessToken, refreshToken }
+  }
+
+  /**
+   * Exchanges a refresh token for new tokens. The refresh token can only be used once,
+   * using it again revokes every token issued from the same login.
+   *
+   * @param {string} refreshToken - The refresh token.
+   * @returns {Promise<{ accessToken: string, refreshToken: string }>} The new tokens.
+   * @throws {Error} If the refresh token is invalid, expired or already used.
+   */
+  async rotate (refreshToken) {
+    const tokenHash = this.#hash(`${refreshToken}`)
+
+    // Revoke the refresh token in the same operation as finding it, so it can only be exchanged once.
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date() }
+    )
+
+    if (!stored) {
+      const used = await RefreshToken.findOne({ tokenHash, revokedAt: { $exists: true } })
+      if (used) {
+        // A used refresh token is presented again, it may have been stolen.
+        await RefreshToken.updateMany({ family: used.family, revokedAt: { $exists: false } }, { revokedAt: new Date() })
+        throw new Error('Refresh token already used.')
+      }
+      throw new Error('Invalid refresh token.')
+    }
+
+    const user = await User.findById(stored.userId)
+    if (!user || user.lockedAt) {
+      throw new Error('Invalid refresh token.')
+    }
+
+    return this.issue(user, stored.family)
+  }
+
+  /**
+   * Revokes an access token and, if given, a refresh token of the same user.
+   *
+   * @param {object} user - The authenticated user, as in `req.user`.
+   * @param {string} [refreshToken] - The refresh token to revoke.
+   */
+  async revoke (user, refreshToken) {
+    if (user.tokenId) {
+      await RevokedToken.updateOne(
+        { jti: user.tokenId },
+        { jti: user.tokenId, expiresAt: new Date(user.tokenExpiresAt * 1000) },
+        { upsert: true }
+      )
+    }
+
+    if (refreshToken) {
+      await RefreshToken.updateOne(
+        { tokenHash: this.#hash(`${refreshToken}`), userId: user.id },
+        { revokedAt: new Date() }
+      )
+    }
+  }
+
+  /**
+   * Revokes every access token and refresh token of a user, ending all sessions.
+   *
+   * @param {string} userId - The id of the user.
+   */
+  async revokeAll (userId) {
+    // Token issue times have second precision, tokens issued from now on stay valid.
+    const tokensValidAfter = new Date(Math.floor(Date.now() / 1000) * 1000)
+
+    await User.updateOne({ _id: userId }, { tokensValidAfter })
+    await RefreshToken.updateMany({ userId, revokedAt: { $exists: false } }, { revokedAt: new Date() })
+  }
+
+  /**
+   * Checks if a verified access token has been revoked, or its user has been locked.
+   *
+   * @param {object} payload - The payload of the access token.
+   * @returns {Promise<boolean>} True if the token may no longer be used.
+   */
+  async isRevoked (payload) {
+    if (payload.jti && await RevokedToken.exists({ jti: payload.jti })) {
+      return true
+    }
+
+    const user = await User.findById(payload.id).select('tokensValidAfter lockedAt')
+    return !user || Boolean(user.lockedAt) || Boolean(user.tokensValidAfter && payload.iat * 1000 < user.tokensValidAfter.getTime())
+  }
+
+  /**
+   * Hashes a refresh token for storage.
+   *
+   * @param {string} token - The refresh token.
+   * @returns {string} The hex encoded SHA-256 hash.
+   */
+  #hash (token) {
+    return crypto.createHash('sha256').update(token).digest('hex')
+  }
+}
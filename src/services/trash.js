@@ -0,0 +1,302 @@
+/**
+ * Module for trash service, keeping deleted fridges and products for a while so they can be restored.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose'
+import { Fridge } from '../models/fridge.js'
+import { Membership, FridgeRoles } from '../models/membership.js'
+import { Product } from '../models/product.js'
+import { ProductHistory } from '../models/product-history.js'
+import { TemperatureReading } from '../models/temperature-reading.js'
+import { TrashItem, TrashItemTypes } from '../models/trash-item.js'
+import { User } from '../models/user.js'
+import { WebhookDelivery } from '../models/webhook-delivery.js'
+import { WebhookSubscription } from '../models/webhook-subscription.js'
+
+/**
+ * Days deleted items are kept in the trash, unless TRASH_RETENTION_DAYS is set.
+ */
+export const DEFAULT_RETENTION_DAYS = 30
+
+/**
+ * Results of restoring an item from the trash.
+ */
+export const RestoreResults = Object.freeze({
+  RESTORED: 'restored',
+  // The item, or the fridge of a product, no longer exists.
+  GONE: 'gone',
+  // Another fridge with the name of the fridge was created while it was in the trash.
+  NAME_TAKEN: 'name_taken'
+})
+
+/** Encapsulates a trash service. */
+export class TrashService {
+  /**
+   * The time deleted items are kept, in milliseconds.
+   *
+   * @type {number}
+   */
+  retention
+
+  /**
+   * Initializes a new instance.
+   *
+   * @param {number} [retentionDays] - Days deleted items are kept, defaults to TRASH_RETENTION_DAYS or 30.
+   */
+  constructor (retentionDays = Number(process.env.TRASH_RETENTION_DAYS ?? DEFAULT_RETENTION_DAYS)) {
+    this.retention = retentionDays * 24 * 60 * 60 * 1000
+  }
+
+  /**
+   * Moves a fridge to the trash together with its products, members and webhooks.
+   * Its owners can restore it. Webhook deliveries are deleted, the product history and temperature readings are kept.
+   * Everything is moved in one transaction, the given one or a new one.
+   *
+   * @param {Fridge} fridge - The fridge.
+   * @param {string} userId - The id of the user deleting the fridge.
+   * @param {object} [options] - Options, such as the `session` of a transaction.
+   * @returns {Promise<TrashItem>} The item in the trash.
+   */
+  async trashFridge (fridge, userId, options = {}) {
+    if (!options.session) {
+      let item
+      await mongoose.connection.transaction(async (session) => {
+        item = await this.trashFridge(fridge, userId, { ...options, session })
+      })
+      return item
+    }
+
+    const { session } = options
+    const products = await Product.find({ fridgeId: fridge._id }).session(session)
+    const memberships = await Membership.find({ fridgeId: fridge._id }).session(session)
+    const subscriptions = await WebhookSubscription.find({ fridgeId: fridge._id }).session(session)
+
+    // Fridges created before memberships existed are only linked to their owner through ownerId.
+    const ownerIds = memberships.filter(membership => membership.role === FridgeRoles.OWNER).map(membership => membership.userId)
+    if (!ownerIds.some(ownerId => ownerId.equals(fridge.ownerId))) {
+      ownerIds.push(fridge.ownerId)
+    }
+
+    const item = new TrashItem({
+      type: TrashItemTypes.FRIDGE,
+      itemId: fridge._id,
+      fridgeId: fridge._id,
+      name: fridge.name,
+      ownerIds,
+      deletedBy: userId,
+      data: {
+        fridge: this.#snapshot(fridge),
+        products: products.map(product => this.#snapshot(product)),
+        memberships: memberships.map(membership => this.#snapshot(membership)),
+        subscriptions: subscriptions.map(subscription => this.#snapshot(subscription))
+      },
+      expiresAt: new Date(Date.now() + this.retention)
+    })
+    await item.save({ session })
+
+    await Product.deleteMany({ fridgeId: fridge._id }, { session })
+    await Membership.deleteMany({ fridgeId: fridge._id }, { session })
+    await WebhookSubscription.deleteMany({ fridgeId: fridge._id }, { session })
+    await WebhookDelivery.deleteMany({ fridgeId: fridge._id }, { session })
+    await Fridge.deleteOne({ _id: fridge._id }, { session })
+
+    return item
+  }
+
+  /**
+   * Moves a product to the trash, recording why it was removed in the product history.
+   * Editors and owners of its fridge can restore it.
+   *
+   * @param {Fridge} fridge - The fridge of the product.
+   * @param {Product} product - The product.
+   * @param {string} reason - The reason, one of `RemovalReasons`.
+   * @param {string} userId - The id of the user deleting the product.
+   * @returns {Promise<TrashItem>} The item in the trash.
+   */
+  async trashProduct (fridge, product, reason, userId) {
+    let item
+    await mongoose.connection.transaction(async (session) => {
+      const history = await ProductHistory.record(product, reason, userId, { session })
+
+      item = new TrashItem({
+        type: TrashItemTypes.PRODUCT,
+        itemId: product._id,
+        fridgeId: fridge._id,
+        name: product.name,
+        deletedBy: userId,
+        historyId: history._id,
+        data: { product: this.#snapshot(product) },
+        expiresAt: new Date(Date.now() + this.retention)
+      })
+      await item.save({ session })
+
+      await Fridge.updateOne({ _id: fridge._id }, { $pull: { products: product._id }, $inc: { __v: 1 } }, { session })
+      await Product.deleteOne({ _id: product._id }, { session })
+    })
+
+    return item
+  }
+
+  /**
+   * Creates a query matching the items in the trash a user can see, that is fridges the user
+   * was an owner of and products of fridges the user can edit.
+   *
+   * @param {string} userId - The id of the user.
+   * @returns {Promise<object>} The query for `TrashItem.find`.
+   */
+  async userFilter (userId) {
+    const memberships = await Membership.find({ userId, role: { $in: [FridgeRoles.OWNER, FridgeRoles.EDITOR] } })
+
+    // Fridges created before memberships existed are only linked through ownerId.
+    const legacyFridges = await Fridge.find({ ownerId: userId }).select('_id')
+    const fridgeIds = [...memberships.map(membership => membership.fridgeId), ...legacyFridges.map(fridge => fridge._id)]
+
+    return {
+      $or: [
+        { type: TrashItemTypes.FRIDGE, ownerIds: userId },
+        { type: TrashItemTypes.PRODUCT, fridgeId: { $in: fridgeIds } }
+      ]
+    }
+  }
+
+  /**
+   * Restores an item from the trash in a transaction, with the same id it had before it was deleted.
+   * Restoring a product takes it out of the product history again. Restoring a fridge leaves out
+   * the memberships of users deleted since, and hands the fridge over to another owner if its owner was deleted.
+   * Restored documents get a new version.
+   *
+   * @param {TrashItem} item - The item.
+   * @returns {Promise<string>} The result, one of RestoreResults.
+   */
+  async restore (item) {
+    const gone = new Error('Item or its fridge no longer exists.')
+    const nameTaken = new Error('Fridge name already taken.')
+
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        const { deletedCount } = await TrashItem.deleteOne({ _id: item._id }, { session })
+        if (deletedCount !== 1) {
+          throw gone
+        }
+
+        const { data } = item
+        if (item.type === TrashItemTypes.FRIDGE) {
+          if (await Fridge.exists({ name: data.fridge.name }).session(session)) {
+            throw nameTaken
+          }
+
+          const users = await User.find({ _id: { $in: [data.fridge.ownerId, ...data.memberships.map(membership => membership.userId)] } }).select('_id').session(session)
+          const userIds = new Set(users.map(user => user._id.toString()))
+          const memberships = data.memberships.filter(membership => userIds.has(membership.userId.toString()))
+
+          // Hand the fridge over to a remaining owner if its owner was deleted, like removing a member does.
+          const fridge = { ...data.fridge, __v: (data.fridge.__v ?? 0) + 1 }
+          if (!userIds.has(fridge.ownerId.toString())) {
+            const owner = memberships.find(membership => membership.role === FridgeRoles.OWNER)
+            if (!owner) {
+              throw gone
+            }
+            fridge.ownerId = owner.userId
+          }
+
+          // The versions are incremented so ETags from before the delete no longer match.
+          await Fridge.collection.insertOne(fridge, { session })
+          await this.#insertMany(Product, data.products.map(product => ({ ...product, __v: (product.__v ?? 0) + 1 })), session)
+          await this.#insertMany(Membership, memberships, session)
+          await this.#insertMany(WebhookSubscription, data.subscriptions, session)
+        } else {
+          const { matchedCount } = await Fridge.updateOne({ _id: item.fridgeId }, { $addToSet: { products: item.itemId }, $inc: { __v: 1 } }, { session })
+          if (matchedCount !== 1) {
+            throw gone
+          }
+          await Product.collection.insertOne({ ...data.product, __v: (data.product.__v ?? 0) + 1 }, { session })
+
+          // The product was not consumed or wasted after all.
+          await ProductHistory.deleteOne({ _id: item.historyId }, { session })
+        }
+      })
+    } catch (error) {
+      if (error === gone) {
+        return RestoreResults.GONE
+      }
+      if (error === nameTaken) {
+        return RestoreResults.NAME_TAKEN
+      }
+      throw error
+    }
+
+    return RestoreResults.RESTORED
+  }
+
+  /**
+   * Deletes an item in the trash permanently. For fridges, their product history, temperature readings
+   * and products in the trash are deleted too.
+   *
+   * @param {TrashItem} item - The item.
+   */
+  async purge (item) {
+    await mongoose.connection.transaction(async (session) => {
+      if (item.type === TrashItemTypes.FRIDGE) {
+        await ProductHistory.deleteMany({ fridgeId: item.fridgeId }, { session })
+        await TemperatureReading.deleteMany({ fridgeId: item.fridgeId }, { session })
+        await TrashItem.deleteMany({ type: TrashItemTypes.PRODUCT, fridgeId: item.fridgeId }, { session })
+      }
+      await TrashItem.deleteOne({ _id: item._id }, { session })
+    })
+  }
+
+  /**
+   * Deletes the items whose retention period has passed permanently.
+   *
+   * @param {Date} [date] - The current date.
+   * @returns {Promise<number>} The number of items deleted.
+   */
+  async purgeExpired (date = new Date()) {
+    const items = await TrashItem.find({ expiresAt: { $lte: date } }).select('-data')
+    for (const item of items) {
+      await this.purge(item)
+    }
+
+    return items.length
+  }
+
+  /**
+   * Removes a user from the owners of fridges in the trash, deleting the fridges no one else owned.
+   *
+   * @param {string} userId - The id of the user.
+   */
+  async removeUser (userId) {
+    await TrashItem.updateMany({ ownerIds: userId }, { $pull: { ownerIds: userId } })
+
+    const items = await TrashItem.find({ type: TrashItemTypes.FRIDGE, ownerIds: { $size: 0 } }).select('-data')
+    for (const item of items) {
+      await this.purge(item)
+    }
+  }
+
+  /**
+   * Copies a document as stored in the database, to be inserted again when restored.
+   *
+   * @param {object} doc - The Mongoose document.
+   * @returns {object} The stored fields.
+   */
+  #snapshot (doc) {
+    return doc.toObject({ depopulate: true, flattenMaps: true, virtuals: false, transform: false })
+  }
+
+  /**
+   * Inserts stored documents into the collection of a model.
+   *
+   * @param {object} Model - The Mongoose model.
+   * @param {object[]} docs - The documents, as stored in the database.
+   * @param {object} session - The session of the transaction.
+   */
+  async #insertMany (Model, docs, session) {
+    if (docs?.length > 0) {
+      await Model.collection.insertMany(docs, { session })
+    }
+  }
+}
@@ -5,30 +5,383 @@
  * @version 1.0.0
  */
 
+import crypto from 'crypto'
+import { fetch } from 'undici'
 import { Fridge } from '../models/fridge.js'
 import { Product } from '../models/product.js'
+import { User } from '../models/user.js'
+import { warningDays, maxWarningDays } from '../models/expiry-warning.js'
+import { SweepRun } from '../models/sweep-run.js'
+import { WebhookDelivery, DeliveryStatus } from '../models/webhook-delivery.js'
+import { WebhookSubscription, WebhookEvents } from '../models/webhook-subscription.js'
+import { isPublicUrl, publicAgent } from '../utils/network.js'
+
+// Number of attempts made before a delivery is given up.
+const MAX_ATTEMPTS = 6
+
+// Delay before the first retry, doubled for every following retry.
+const RETRY_BASE_DELAY = 30 * 1000
+
+// Time to wait for a webhook to respond.
+const REQUEST_TIMEOUT = 10 * 1000
+
+// Milliseconds in a day.
+const DAY = 24 * 60 * 60 * 1000
+
+// The sweep currently in progress, shared so that overlapping triggers do not notify the same products twice.
+let currentSweep = null
 
 /** Encapsulates a webhook service. */
 export class WebhookService {
   /**
-   * Checks all fridges for expired products.
+   * Checks all fridges with a webhook subscribed to expiry events for
+   * expiring and expired products that have not been notified yet.
    *
    * @param {Date} date - The date to check against.
-   * @returns {Promise<Fridge[]>} The fridges with expired products.
+   * @returns {Promise<Fridge[]>} The fridges with expiring or expired products.
    */
   async checkFridges (date) {
-    const webhookFridges = await Fridge.find({ webhookUrl: { $exists: true } })
+    const subscriptions = await WebhookSubscription.find({
+      events: { $in: [WebhookEvents.PRODUCT_EXPIRING_SOON, WebhookEvents.PRODUCT_EXPIRED] }
+    })
+
+    // The expiry events subscribed to, by fridge id.
+    const fridgeEvents = new Map()
+    for (const subscription of subscriptions) {
+      const events = fridgeEvents.get(subscription.fridgeId.toString()) || new Set()
+      subscription.events.forEach(event => events.add(event))
+      fridgeEvents.set(subscription.fridgeId.toString(), events)
+    }
+
+    const webhookFridges = await Fridge.find({ _id: { $in: [...fridgeEvents.keys()] } })
     for (const fridge of webhookFridges) {
-      fridge.expiredProducts = []
-      if (fridge.products.length > 0) {
-        for (const productId of fridge.products) {
-          const product = await Product.findById(productId)
-          if (product.expirationDate < date) {
-            fridge.expiredProducts.push(product)
-          }
+      const events = fridgeEvents.get(fridge.id)
+
+      fridge.expiringProducts = events.has(WebhookEvents.PRODUCT_EXPIRING_SOON)
+        ? await this.#findExpiringProducts(fridge, date)
+        : []
+
+      fridge.expiredProducts = events.has(WebhookEvents.PRODUCT_EXPIRED)
+        ? await Product.find({
+          fridgeId: fridge._id,
+          expirationDate: { $lt: date },
+          expiredNotifiedAt: { $exists: false }
+        })
+        : []
+    }
+    return webhookFridges.filter(fridge => fridge.expiringProducts.length > 0 || fridge.expiredProducts.length > 0)
+  }
+
+  /**
+   * Delivers the expiring and expired products of every fridge to its webhooks and records the run.
+   * Once the deliveries are created the products are marked as notified, the requests are
+   * sent in the background and failed deliveries are retried by the deliveries themselves.
+   *
+   * @param {string} trigger - What started the sweep, 'schedule' or 'manual'.
+   * @returns {Promise<SweepRun>} The recorded run.
+   */
+  async sweep (trigger) {
+    if (!currentSweep) {
+      currentSweep = this.#sweep(trigger).finally(() => { currentSweep = null })
+    }
+    return currentSweep
+  }
+
+  /**
+   * Emits an event of a fridge in the background. Errors are logged and
+   * never reach the caller, so emitting never fails a request.
+   *
+   * @param {Fridge} fridge - The fridge the event happened in.
+   * @param {string} event - The name of the event.
+   * @param {object} data - The event data, added to the payload.
+   */
+  emit (fridge, event, data) {
+    this.dispatch(fridge, event, data)
+      .catch(error => console.error(`Emitting ${event} failed: ${error.message}`))
+  }
+
+  /**
+   * Creates a delivery of an event to every webhook of a fridge subscribed to it, see `deliver`.
+   *
+   * @param {Fridge} fridge - The fridge the event happened in.
+   * @param {string} event - The name of the event.
+   * @param {object} data - The event data, added to the payload.
+   * @returns {Promise<WebhookDelivery[]>} The deliveries.
+   */
+  async dispatch (fridge, event, data) {
+    const subscriptions = await WebhookSubscription.find({ fridgeId: fridge._id, events: event })
+
+    const deliveries = []
+    for (const subscription of subscriptions) {
+      deliveries.push(await this.deliver(subscription, event, data))
+    }
+    return deliveries
+  }
+
+  /**
+   * Creates a delivery of an event to a webhook and makes the first attempt in the background,
+   * so slow webhooks do not hold up the caller.
+   *
+   * @param {WebhookSubscription} subscription - The webhook subscription.
+   * @param {string} event - The name of the event.
+   * @param {object} data - The event data, added to the payload.
+   * @returns {Promise<WebhookDelivery>} The delivery.
+   */
+  async deliver (subscription, event, data) {
+    const delivery = new WebhookDelivery({
+      fridgeId: subscription.fridgeId,
+      subscriptionId: subscription._id,
+      url: subscription.url,
+      event
+    })
+    delivery.payload = JSON.parse(JSON.stringify({
+      id: delivery.id,
+      event,
+      createdAt: new Date(),
+      ...data
+    }))
+    await delivery.save()
+
+    this.#scheduleAttempt(delivery)
+    return delivery
+  }
+
+  /**
+   * Sends the payload of an earlier delivery again, to the current url of its webhook.
+   * The payload keeps its id so the receiver can recognize it. The attempt is made in the background.
+   *
+   * @param {WebhookSubscription} subscription - The webhook subscription of the delivery.
+   * @param {WebhookDelivery} original - The delivery to send again.
+   * @returns {Promise<WebhookDelivery>} The new delivery, still pending.
+   */
+  async redeliver (subscription, original) {
+    const delivery = await WebhookDelivery.create({
+      fridgeId: subscription.fridgeId,
+      subscriptionId: subscription._id,
+      url: subscription.url,
+      event: original.event,
+      payload: original.payload,
+      redeliveryOf: original._id
+    })
+
+    this.#scheduleAttempt(delivery)
+    return delivery
+  }
+
+  /**
+   * Makes an attempt to deliver, signing the payload with the secret of the webhook.
+   * A failed attempt schedules a retry with exponential backoff until MAX_ATTEMPTS is reached.
+   *
+   * @param {WebhookDelivery} delivery - The pending delivery.
+   */
+  async attempt (delivery) {
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId)
+    const attempt = { attemptedAt: new Date() }
+
+    try {
+      if (!subscription) {
+        throw new Error('Webhook is no longer registered.')
+      }
+
+      if (!isPublicUrl(delivery.url)) {
+        throw new Error('Webhook host is not public.')
+      }
+
+      const body = JSON.stringify(delivery.payload)
+      const timestamp = Math.floor(attempt.attemptedAt.getTime() / 1000)
+
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Fridgetracker-Event': delivery.event,
+          'X-Fridgetracker-Delivery': delivery.payload.id,
+          'X-Fridgetracker-Timestamp': `${timestamp}`,
+          'X-Fridgetracker-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`
+        },
+        body,
+        // Redirects are not followed, they could lead to the internal network.
+        redirect: 'manual',
+        // Connects to the address checked to be public, so the host can not resolve to another one in between.
+        dispatcher: publicAgent,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      })
+
+      attempt.statusCode = response.status
+      if (!response.ok) {
+        attempt.error = `Webhook error ${response.status}`
+      }
+    } catch (error) {
+      // Network errors of fetch have the reason as cause.
+      attempt.error = error.cause?.message ?? error.message
+    }
+
+    attempt.duration = Date.now() - attempt.attemptedAt.getTime()
+    delivery.attempts.push(attempt)
+
+    if (!attempt.error) {
+      delivery.status = DeliveryStatus.SUCCEEDED
+      delivery.nextAttemptAt = undefined
+    } else if (!subscription || delivery.attempts.length >= MAX_ATTEMPTS) {
+      delivery.status = DeliveryStatus.FAILED
+      delivery.nextAttemptAt = undefined
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY * 2 ** (delivery.attempts.length - 1))
+      this.#scheduleAttempt(delivery)
+    }
+
+    await delivery.save()
+  }
+
+  /**
+   * Schedules retries of all pending deliveries, used when the server starts.
+   */
+  async resumeDeliveries () {
+    const deliveries = await WebhookDelivery.find({ status: DeliveryStatus.PENDING })
+    for (const delivery of deliveries) {
+      this.#scheduleAttempt(delivery)
+    }
+  }
+
+  /**
+   * Moves webhooks registered directly on fridges, before fridges could have
+   * several webhooks, to subscriptions of the product.expired event.
+   */
+  async migrateLegacyWebhooks () {
+    const fridges = await Fridge.collection.find({ webhookUrl: { $exists: true } }).toArray()
+    for (const fridge of fridges) {
+      try {
+        const existing = await WebhookSubscription.findOne({ fridgeId: fridge._id, url: fridge.webhookUrl })
+        if (!existing) {
+          await WebhookSubscription.create({
+            fridgeId: fridge._id,
+            url: fridge.webhookUrl,
+            secret: fridge.webhookSecret,
+            events: [WebhookEvents.PRODUCT_EXPIRED]
+          })
         }
+        await Fridge.collection.updateOne({ _id: fridge._id }, { $unset: { webhookUrl: '', webhookSecret: '' } })
+      } catch (error) {
+        console.error(`Migrating webhook of fridge ${fridge._id} failed: ${error.message}`)
       }
     }
-    return webhookFridges
+  }
+
+  /**
+   * Computes the signature of a payload. Receivers verify the signature by computing
+   * the HMAC-SHA256 of "<timestamp>.<body>" with their secret, and should reject
+   * timestamps that are too old to protect against replayed requests.
+   *
+   * @param {string} secret - The webhook secret.
+   * @param {number} timestamp - Unix timestamp in seconds.
+   * @param {string} body - The JSON body.
+   * @returns {string} The hex encoded signature.
+   */
+  sign (secret, timestamp, body) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex')
+  }
+
+  /**
+   * Performs a sweep, see `sweep`.
+   *
+   * @param {string} trigger - What started the sweep, 'schedule' or 'manual'.
+   * @returns {Promise<SweepRun>} The recorded run.
+   */
+  async #sweep (trigger) {
+    const run = await SweepRun.create({ trigger, startedAt: new Date() })
+    const errors = []
+
+    let webhookFridges = []
+    try {
+      webhookFridges = await this.checkFridges(run.startedAt)
+    } catch (error) {
+      errors.push(error.message)
+    }
+
+    // A failing fridge does not stop the others from being notified.
+    for (const fridge of webhookFridges) {
+      try {
+        if (fridge.expiringProducts.length > 0) {
+          await this.dispatch(fridge, WebhookEvents.PRODUCT_EXPIRING_SOON, {
+            fridgeId: fridge._id,
+            expiringProducts: fridge.expiringProducts
+          })
+          await Product.updateMany(
+            { _id: { $in: fridge.expiringProducts.map(product => product._id) } },
+            { expiringNotifiedAt: run.startedAt }
+          )
+        }
+
+        if (fridge.expiredProducts.length > 0) {
+          await this.dispatch(fridge, WebhookEvents.PRODUCT_EXPIRED, {
+            fridgeId: fridge._id,
+            expiredProducts: fridge.expiredProducts
+          })
+          await Product.updateMany(
+            { _id: { $in: fridge.expiredProducts.map(product => product._id) } },
+            { expiredNotifiedAt: run.startedAt }
+          )
+        }
+
+        run.fridgesNotified++
+        run.productsNotified += fridge.expiringProducts.length + fridge.expiredProducts.length
+      } catch (error) {
+        errors.push(`Fridge ${fridge.id}: ${error.message}`)
+      }
+    }
+
+    if (errors.length > 0) {
+      run.error = errors.join(' ')
+    }
+
+    run.finishedAt = new Date()
+    await run.save()
+    return run
+  }
+
+  /**
+   * Finds the products of a fridge that expire within their warning days and
+   * have not been notified yet. The warning days are configured on the fridge,
+   * falling back to the settings of its owner.
+   *
+   * @param {Fridge} fridge - The fridge.
+   * @param {Date} date - The date to check against.
+   * @returns {Promise<Product[]>} The expiring products.
+   */
+  async #findExpiringProducts (fridge, date) {
+    const owner = await User.findById(fridge.ownerId)
+    const warnings = [fridge.expiryWarning, owner?.expiryWarning]
+
+    const products = await Product.find({
+      fridgeId: fridge._id,
+      expirationDate: { $gte: date, $lt: new Date(date.getTime() + maxWarningDays(...warnings) * DAY) },
+      expiringNotifiedAt: { $exists: false }
+    })
+
+    return products.filter(product =>
+      product.expirationDate < new Date(date.getTime() + warningDays(product.category, ...warnings) * DAY))
+  }
+
+  /**
+   * Schedules the next attempt of a pending delivery, right away if it has no next attempt time.
+   *
+   * @param {WebhookDelivery} delivery - The pending delivery.
+   */
+  #scheduleAttempt (delivery) {
+    const delay = Math.max(0, (delivery.nextAttemptAt?.getTime() ?? Date.now()) - Date.now())
+
+    setTimeout(async () => {
+      try {
+        const pending = await WebhookDelivery.findOne({ _id: delivery._id, status: DeliveryStatus.PENDING })
+        if (pending) {
+          await this.attempt(pending)
+        }
+      } catch (error) {
+        console.error(`Webhook delivery ${delivery.id} failed: ${error.message}`)
+      }
+    }, delay).unref()
   }
 }
@@ -0,0 +1,37 @@
+/**
+ * Validation and normalization of GTIN barcodes (EAN-8, UPC-A, EAN-13 and GTIN-14).
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+/**
+ * Lengths of the GTIN formats.
+ */
+const GTIN_LENGTHS = Object.freeze([8, 12, 13, 14])
+
+/**
+ * Checks if a string is a GTIN with a correct check digit.
+ *
+ * @param {string} code - The barcode digits.
+ * @returns {boolean} True if the code is a valid GTIN.
+ */
+export const isValidGtin = (code) => {
+  if (!/^[0-9]+$/.test(code) || !GTIN_LENGTHS.includes(code.length)) {
+    return false
+  }
+
+  // From the right, leaving out the check digit, digits are weighted 3, 1, 3, 1...
+  const digits = [...code].map(Number)
+  const checkDigit = digits.pop()
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0)
+  return (10 - sum % 10) % 10 === checkDigit
+}
+
+/**
+ * Pads a GTIN to 14 digits, so the same product has the same barcode whether it is given as UPC-A, EAN-13 or GTIN-14.
+ *
+ * @param {string} code - A valid GTIN.
+ * @returns {string} The GTIN-14.
+ */
+export const normalizeGtin = (code) => code.padStart(14, '0')
@@ -0,0 +1,144 @@
+/**
+ * Error codes and helpers for error responses.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+
+/**
+ * Machine-readable codes of error responses. Codes are stable, messages may change.
+ */
+export const ErrorCodes = Object.freeze({
+  // Generic codes, used for errors without a more specific code.
+  BAD_REQUEST: 'BAD_REQUEST',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  UNSUPPORTED_MEDIA_TYPE: 'UNSUPPORTED_MEDIA_TYPE',
+  PRECONDITION_FAILED: 'PRECONDITION_FAILED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+
+  // Requests.
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  MALFORMED_BODY: 'MALFORMED_BODY',
+  INVALID_PERIOD: 'INVALID_PERIOD',
+  INVALID_SORT: 'INVALID_SORT',
+  VERSION_MISMATCH: 'VERSION_MISMATCH',
+  VERSION_CONFLICT: 'VERSION_CONFLICT',
+  PATCH_NOT_APPLICABLE: 'PATCH_NOT_APPLICABLE',
+  PATCH_TEST_FAILED: 'PATCH_TEST_FAILED',
+
+  // Accounts.
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  INVALID_REFRESH_TOKEN: 'INVALID_REFRESH_TOKEN',
+  INVALID_RESET_TOKEN: 'INVALID_RESET_TOKEN',
+  WRONG_PASSWORD: 'WRONG_PASSWORD',
+  USERNAME_OR_EMAIL_TAKEN: 'USERNAME_OR_EMAIL_TAKEN',
+  EMAIL_TAKEN: 'EMAIL_TAKEN',
+  USER_NOT_FOUND: 'USER_NOT_FOUND',
+  INVALID_ARCHIVE: 'INVALID_ARCHIVE',
+
+  // Fridges.
+  FRIDGE_NOT_FOUND: 'FRIDGE_NOT_FOUND',
+  FRIDGE_NAME_TAKEN: 'FRIDGE_NAME_TAKEN',
+  INVALID_TEMPERATURE_READINGS: 'INVALID_TEMPERATURE_READINGS',
+
+  // Products.
+  PRODUCT_NOT_FOUND: 'PRODUCT_NOT_FOUND',
+  PRODUCT_NOT_IN_FRIDGE: 'PRODUCT_NOT_IN_FRIDGE',
+  PRODUCT_ALREADY_IN_FRIDGE: 'PRODUCT_ALREADY_IN_FRIDGE',
+  PRODUCT_MOVE_REQUIRED: 'PRODUCT_MOVE_REQUIRED',
+  PRODUCT_CHANGED: 'PRODUCT_CHANGED',
+  INSUFFICIENT_QUANTITY: 'INSUFFICIENT_QUANTITY',
+  UNIT_NOT_CONVERTIBLE: 'UNIT_NOT_CONVERTIBLE',
+  INVALID_CSV: 'INVALID_CSV',
+  INVALID_PRODUCTS: 'INVALID_PRODUCTS',
+  TOO_MANY_PRODUCTS: 'TOO_MANY_PRODUCTS',
+
+  // Members.
+  MEMBER_NOT_FOUND: 'MEMBER_NOT_FOUND',
+  ALREADY_MEMBER: 'ALREADY_MEMBER',
+  LAST_OWNER: 'LAST_OWNER',
+
+  // Webhooks.
+  WEBHOOK_NOT_FOUND: 'WEBHOOK_NOT_FOUND',
+  DELIVERY_NOT_FOUND: 'DELIVERY_NOT_FOUND',
+  WEBHOOK_DELETED: 'WEBHOOK_DELETED',
+
+  // Trash.
+  TRASH_ITEM_NOT_FOUND: 'TRASH_ITEM_NOT_FOUND',
+  TRASH_ITEM_NOT_RESTORABLE: 'TRASH_ITEM_NOT_RESTORABLE',
+
+  // Administration.
+  CANNOT_CHANGE_OWN_ACCOUNT: 'CANNOT_CHANGE_OWN_ACCOUNT',
+
+  // Catalog.
+  CATALOG_ITEM_NOT_FOUND: 'CATALOG_ITEM_NOT_FOUND'
+})
+
+/**
+ * Codes of errors created without a code, by status.
+ */
+const defaultCodes = Object.freeze({
+  400: ErrorCodes.BAD_REQUEST,
+  401: ErrorCodes.UNAUTHORIZED,
+  403: ErrorCodes.FORBIDDEN,
+  404: ErrorCodes.NOT_FOUND,
+  409: ErrorCodes.CONFLICT,
+  412: ErrorCodes.PRECONDITION_FAILED,
+  413: ErrorCodes.PAYLOAD_TOO_LARGE,
+  415: ErrorCodes.UNSUPPORTED_MEDIA_TYPE,
+  500: ErrorCodes.INTERNAL_ERROR
+})
+
+/**
+ * Creates the error of a request with invalid fields.
+ *
+ * @param {{ in: string, field: string, message: string }[]} errors - The field errors. The field is a dotted path, empty for the whole part.
+ * @returns {Error} A 400 error listing the field errors in `errors`.
+ */
+export const invalidRequest = (errors) => {
+  const fields = [...new Set(errors.map(error => [error.in, error.field].filter(Boolean).join('.')))]
+  return createError(400, `Bad request: Invalid ${fields.join(', ')}.`, { code: ErrorCodes.VALIDATION_FAILED, errors })
+}
+
+/**
+ * Converts any error passed to the error handler to an HTTP error with a code.
+ *
+ * Mongoose validation and cast errors become validation errors listing the invalid
+ * fields, version errors and duplicate keys become conflicts and other errors become internal errors.
+ *
+ * @param {Error} error - The error.
+ * @returns {Error} The HTTP error, with the original error as cause if it was converted.
+ */
+export const toHttpError = (error) => {
+  let err = error
+
+  if (createError.isHttpError(error)) {
+    if (typeof error.code !== 'string') {
+      // Errors of the body parser are marked by type instead.
+      error.code = error.type === 'entity.parse.failed'
+        ? ErrorCodes.MALFORMED_BODY
+        : defaultCodes[error.status] ?? (error.status < 500 ? ErrorCodes.BAD_REQUEST : ErrorCodes.INTERNAL_ERROR)
+    }
+    return error
+  } else if (error.name === 'ValidationError') {
+    err = invalidRequest(Object.values(error.errors).map(e => ({ in: 'body', field: e.path, message: e.message })))
+  } else if (error.name === 'CastError') {
+    err = invalidRequest([{ in: 'body', field: error.path, message: `must be ${error.kind}` }])
+  } else if (error.name === 'VersionError') {
+    // The document was changed by another request while this one was handled.
+    err = createError(409, 'Conflict: Changed by someone else at the same time, try again.', { code: ErrorCodes.VERSION_CONFLICT })
+  } else if (error.code === 11000) {
+    err = createError(409, `Conflict: ${Object.keys(error.keyValue ?? {}).join(', ') || 'value'} already taken.`, { code: ErrorCodes.CONFLICT })
+  } else {
+    err = createError(500, { code: ErrorCodes.INTERNAL_ERROR })
+  }
+
+  err.cause = error
+  return err
+}
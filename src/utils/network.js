@@ -0,0 +1,127 @@
+/**
+ * Helpers for checking the hosts the server makes requests to.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import dns from 'dns'
+import net from 'net'
+import { Agent } from 'undici'
+
+/**
+ * Addresses that are not reachable on the public internet: "this" network, private,
+ * shared, loopback, link-local (including cloud metadata services) and unique local addresses,
+ * and the IPv6 ranges embedding IPv4 addresses that could reach them.
+ */
+const privateAddresses = new net.BlockList()
+privateAddresses.addSubnet('0.0.0.0', 8, 'ipv4')
+privateAddresses.addSubnet('10.0.0.0', 8, 'ipv4')
+privateAddresses.addSubnet('100.64.0.0', 10, 'ipv4')
+privateAddresses.addSubnet('127.0.0.0', 8, 'ipv4')
+privateAddresses.addSubnet('169.254.0.0', 16, 'ipv4')
+privateAddresses.addSubnet('172.16.0.0', 12, 'ipv4')
+privateAddresses.addSubnet('192.168.0.0', 16, 'ipv4')
+privateAddresses.addSubnet('224.0.0.0', 3, 'ipv4')
+// IPv4-compatible addresses, including :: and ::1.
+privateAddresses.addSubnet('::', 96, 'ipv6')
+// NAT64, translated to IPv4 addresses by the gateway.
+privateAddresses.addSubnet('64:ff9b::', 96, 'ipv6')
+privateAddresses.addSubnet('fc00::', 7, 'ipv6')
+privateAddresses.addSubnet('fe80::', 10, 'ipv6')
+privateAddresses.addSubnet('ff00::', 8, 'ipv6')
+
+/**
+ * Checks if an IP address is not reachable on the public internet.
+ *
+ * @param {string} address - The IPv4 or IPv6 address.
+ * @returns {boolean} True if the address is private, loopback or link-local.
+ */
+export const isPrivateAddress = (address) => {
+  // IPv4 addresses mapped to IPv6, like ::ffff:127.0.0.1, are checked as IPv4.
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)
+  if (mapped) {
+    return isPrivateAddress(mapped[1])
+  }
+
+  const family = net.isIP(address)
+  return family !== 0 && privateAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6')
+}
+
+/**
+ * Finds the host name of a URL, without the brackets around IPv6 addresses.
+ *
+ * @param {string} url - The URL.
+ * @returns {string|null} The lower case host name, or null if the URL is invalid.
+ */
+const hostname = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Checks if a host is allowed even though it is private, by WEBHOOK_ALLOWED_HOSTS.
+ *
+ * @param {string} host - The host name or IP address.
+ * @returns {boolean} True if the host is listed.
+ */
+const isAllowedHost = (host) => (process.env.WEBHOOK_ALLOWED_HOSTS ?? '')
+  .split(',')
+  .map(allowed => allowed.trim().toLowerCase())
+  .includes(host)
+
+/**
+ * Checks that a URL does not name a private host, that is localhost or a private,
+ * loopback or link-local IP address, unless the host is listed in WEBHOOK_ALLOWED_HOSTS.
+ * Host names are not resolved, see `publicAgent`.
+ *
+ * @param {string} url - The URL.
+ * @returns {boolean} True if the URL is valid and does not name a private host.
+ */
+export const isPublicUrl = (url) => {
+  const host = hostname(url)
+  if (host === null) {
+    return false
+  }
+  if (isAllowedHost(host)) {
+    return true
+  }
+  return host !== 'localhost' && !host.endsWith('.localhost') && !isPrivateAddress(host)
+}
+
+/**
+ * Looks up a host name like `dns.lookup`, failing if it resolves to a private address
+ * unless the host is listed in WEBHOOK_ALLOWED_HOSTS. Used when connecting, so the
+ * address that was checked is the one connected to.
+ *
+ * @param {string} host - The host name.
+ * @param {object} options - The options of `dns.lookup`.
+ * @param {Function} callback - Called with an error, or the address and family, or all addresses if `options.all` is set.
+ */
+const publicLookup = (host, options, callback) => {
+  dns.lookup(host, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error)
+      return
+    }
+    if (!isAllowedHost(host.toLowerCase()) && addresses.some(({ address }) => isPrivateAddress(address))) {
+      callback(new Error(`Host ${host} resolves to a private address.`))
+      return
+    }
+
+    if (options.all) {
+      callback(null, addresses)
+    } else {
+      callback(null, addresses[0].address, addresses[0].family)
+    }
+  })
+}
+
+/**
+ * Dispatcher for `fetch` of undici that only connects to public addresses, see `isPublicUrl`
+ * for the check of hosts given as IP addresses, which are not looked up.
+ */
+export const publicAgent = new Agent({ connect: { lookup: publicLookup } })
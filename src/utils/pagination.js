@@ -0,0 +1,62 @@
+/**
+ * Helpers for paginated listings.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+export const DEFAULT_PAGE_LIMIT = 20
+export const MAX_PAGE_LIMIT = 100
+
+/**
+ * Reads `page` and `limit` from the query string.
+ *
+ * @param {object} query - The parsed query string, as in `req.query`.
+ * @returns {{ page: number, limit: number, skip: number }} The page, starting at 1, the page size and the number of documents before the page.
+ */
+export const pagination = (query) => {
+  const page = Math.max(1, Number.parseInt(query.page) || 1)
+  const limit = Math.min(MAX_PAGE_LIMIT, Math.max(1, Number.parseInt(query.limit) || DEFAULT_PAGE_LIMIT))
+  return { page, limit, skip: (page - 1) * limit }
+}
+
+/**
+ * Creates the HATEOAS links to the next and previous page of a listing.
+ * The query string is kept, only `page` and `limit` change.
+ *
+ * @param {string} path - The path of the listing, for example `/api/v1/fridge/:id/product`.
+ * @param {object} query - The parsed query string, as in `req.query`.
+ * @param {number} total - The number of documents in the whole listing.
+ * @returns {{ rel: string, href: string }[]} The `next` and `prev` links that exist.
+ */
+export const pageLinks = (path, query, total) => {
+  const { page, limit } = pagination(query)
+  const totalPages = Math.ceil(total / limit)
+
+  /**
+   * Creates the href of a page.
+   *
+   * @param {number} toPage - The page number.
+   * @returns {string} The href.
+   */
+  const href = (toPage) => {
+    const params = new URLSearchParams()
+    for (const [name, value] of Object.entries(query)) {
+      for (const item of [value].flat()) {
+        params.append(name, item)
+      }
+    }
+    params.set('page', toPage)
+    params.set('limit', limit)
+    return `${path}?${params}`
+  }
+
+  const links = []
+  if (page < totalPages) {
+    links.push({ rel: 'next', href: href(page + 1) })
+  }
+  if (page > 1) {
+    links.push({ rel: 'prev', href: href(Math.min(page - 1, Math.max(totalPages, 1))) })
+  }
+  return links
+}
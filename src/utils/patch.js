@@ -0,0 +1,224 @@
+/**
+ * JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902) of plain JSON documents.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+import createError from 'http-errors'
+import { ErrorCodes } from './errors.js'
+
+/**
+ * Media types of the patch formats.
+ */
+export const PatchTypes = Object.freeze({
+  MERGE_PATCH: 'application/merge-patch+json',
+  JSON_PATCH: 'application/json-patch+json'
+})
+
+/**
+ * Checks if a value is a JSON object, not an array or null.
+ *
+ * @param {*} value - The value.
+ * @returns {boolean} True if the value is an object.
+ */
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+/**
+ * Compares two JSON values, ignoring the order of object members.
+ *
+ * @param {*} a - A value.
+ * @param {*} b - Another value.
+ * @returns {boolean} True if the values are equal.
+ */
+const isEqual = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]))
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a)
+    return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && isEqual(a[key], b[key]))
+  }
+  return a === b
+}
+
+/**
+ * Applies a JSON Merge Patch. Members set to null are removed, objects are merged
+ * member by member and other values replace the value in the document.
+ *
+ * @param {*} document - The document, it is not changed.
+ * @param {*} patch - The merge patch.
+ * @returns {*} The patched document.
+ */
+export const applyMergePatch = (document, patch) => {
+  if (!isObject(patch)) {
+    return structuredClone(patch)
+  }
+
+  const result = isObject(document) ? structuredClone(document) : {}
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key]
+    } else {
+      result[key] = applyMergePatch(result[key], value)
+    }
+  }
+  return result
+}
+
+/**
+ * Creates the error of a JSON Patch operation that can not be applied.
+ *
+ * @param {number} index - The index of the operation.
+ * @param {string} message - Why the operation can not be applied.
+ * @returns {Error} A 422 error.
+ */
+const notApplicable = (index, message) => createError(422, `Unprocessable: Operation ${index} can not be applied, ${message}.`, {
+  code: ErrorCodes.PATCH_NOT_APPLICABLE,
+  errors: [{ in: 'body', field: `${index}`, message }]
+})
+
+/**
+ * Splits a JSON Pointer into its unescaped reference tokens.
+ *
+ * @param {string} pointer - The JSON Pointer, for example `/temperatureRange/min`.
+ * @returns {string[]} The reference tokens, none for the whole document.
+ */
+const parsePointer = (pointer) => pointer === ''
+  ? []
+  : pointer.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+
+/**
+ * Finds the value a JSON Pointer refers to.
+ *
+ * @param {*} document - The document.
+ * @param {string[]} tokens - The reference tokens of the pointer.
+ * @returns {{ found: boolean, value: * }} Whether the value exists, and the value.
+ */
+const resolve = (document, tokens) => {
+  let value = document
+  for (const token of tokens) {
+    if (Array.isArray(value) ? !/^(0|[1-9][0-9]*)$/.test(token) || Number(token) >= value.length : !isObject(value) || !Object.hasOwn(value, token)) {
+      return { found: false }
+    }
+    value = value[Array.isArray(value) ? Number(token) : token]
+  }
+  return { found: true, value }
+}
+
+/**
+ * Applies a JSON Patch, an array of operations applied in order. Either every
+ * operation is applied or none of them.
+ *
+ * @param {*} document - The document, it is not changed.
+ * @param {{ op: string, path: string, from?: string, value?: * }[]} operations - The operations.
+ * @returns {*} The patched document.
+ * @throws {Error} A 422 error if an operation can not be applied, or a 409 error if a test operation fails.
+ */
+export const applyJsonPatch = (document, operations) => {
+  let result = structuredClone(document)
+
+  operations.forEach((operation, index) => {
+    const tokens = parsePointer(operation.path)
+
+    /**
+     * Adds a value at the path of the operation, replacing a member of an object or inserting into an array.
+     *
+     * @param {*} value - The value.
+     */
+    const add = (value) => {
+      if (tokens.length === 0) {
+        result = value
+        return
+      }
+      const parent = resolve(result, tokens.slice(0, -1))
+      const key = tokens.at(-1)
+      if (Array.isArray(parent.value)) {
+        const position = key === '-' ? parent.value.length : Number(key)
+        if (!/^(-|0|[1-9][0-9]*)$/.test(key) || position > parent.value.length) {
+          throw notApplicable(index, `${operation.path} is not an index of the array`)
+        }
+        parent.value.splice(position, 0, value)
+      } else if (parent.found && isObject(parent.value)) {
+        parent.value[key] = value
+      } else {
+        throw notApplicable(index, `the parent of ${operation.path} does not exist`)
+      }
+    }
+
+    /**
+     * Removes the value at a path.
+     *
+     * @param {string[]} from - The reference tokens of the path.
+     * @param {string} path - The path, for error messages.
+     * @returns {*} The removed value.
+     */
+    const remove = (from, path) => {
+      const { found, value } = resolve(result, from)
+      if (!found) {
+        throw notApplicable(index, `${path} does not exist`)
+      }
+      if (from.length === 0) {
+        result = undefined
+        return value
+      }
+      const parent = resolve(result, from.slice(0, -1)).value
+      if (Array.isArray(parent)) {
+        parent.splice(Number(from.at(-1)), 1)
+      } else {
+        delete parent[from.at(-1)]
+      }
+      return value
+    }
+
+    if (operation.op === 'add') {
+      add(structuredClone(operation.value))
+    } else if (operation.op === 'remove') {
+      remove(tokens, operation.path)
+    } else if (operation.op === 'replace') {
+      remove(tokens, operation.path)
+      add(structuredClone(operation.value))
+    } else if (operation.op === 'move') {
+      if (operation.path.startsWith(`${operation.from}/`)) {
+        throw notApplicable(index, `${operation.from} can not be moved into itself`)
+      }
+      add(remove(parsePointer(operation.from), operation.from))
+    } else if (operation.op === 'copy') {
+      const { found, value } = resolve(result, parsePointer(operation.from))
+      if (!found) {
+        throw notApplicable(index, `${operation.from} does not exist`)
+      }
+      add(structuredClone(value))
+    } else if (operation.op === 'test') {
+      const { found, value } = resolve(result, tokens)
+      if (!found || !isEqual(value, operation.value)) {
+        throw createError(409, `Conflict: Test of operation ${index} failed, ${operation.path} does not have the expected value.`, { code: ErrorCodes.PATCH_TEST_FAILED })
+      }
+    }
+  })
+
+  return result
+}
+
+/**
+ * Applies a patch of the given media type.
+ *
+ * @param {*} document - The document, it is not changed.
+ * @param {*} patch - The merge patch or JSON Patch operations.
+ * @param {string} type - The media type of the patch, one of `PatchTypes`.
+ * @returns {*} The patched document.
+ */
+export const applyPatch = (document, patch, type) => type === PatchTypes.JSON_PATCH
+  ? applyJsonPatch(document, patch)
+  : applyMergePatch(document, patch)
+
+/**
+ * Finds the top-level members of a patched document that differ from the document.
+ *
+ * @param {object} document - The document.
+ * @param {object} patched - The patched document.
+ * @returns {object} The changed members with their new values, removed members are undefined.
+ */
+export const changedFields = (document, patched) => Object.fromEntries([...new Set([...Object.keys(document), ...Object.keys(patched)])]
+  .filter(key => !isEqual(document[key], patched[key]))
+  .map(key => [key, patched[key]]))
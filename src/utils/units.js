@@ -0,0 +1,54 @@
+/**
+ * Units of product quantities and conversion between them.
+ *
+ * @author Beata Eriksson
+ * @version 1.0.0
+ */
+
+/**
+ * Units a product quantity can be given in.
+ */
+export const Units = Object.freeze({
+  PIECES: 'pieces',
+  GRAM: 'g',
+  KILOGRAM: 'kg',
+  MILLILITRE: 'ml',
+  LITRE: 'l'
+})
+
+/**
+ * What each unit measures, and how many of the smallest unit of that kind it equals.
+ */
+const definitions = Object.freeze({
+  [Units.PIECES]: { kind: 'count', factor: 1 },
+  [Units.GRAM]: { kind: 'mass', factor: 1 },
+  [Units.KILOGRAM]: { kind: 'mass', factor: 1000 },
+  [Units.MILLILITRE]: { kind: 'volume', factor: 1 },
+  [Units.LITRE]: { kind: 'volume', factor: 1000 }
+})
+
+/**
+ * Checks if a quantity in one unit can be converted to another, that is if both measure the same kind.
+ *
+ * @param {string} from - The unit to convert from.
+ * @param {string} to - The unit to convert to.
+ * @returns {boolean} True if the units can be converted.
+ */
+export const isConvertible = (from, to) => Boolean(definitions[from] && definitions[to]) && definitions[from].kind === definitions[to].kind
+
+/**
+ * Converts a quantity from one unit to another.
+ *
+ * @param {number} quantity - The quantity.
+ * @param {string} from - The unit of the quantity.
+ * @param {string} to - The unit to convert to.
+ * @returns {number} The quantity in the new unit, rounded to six decimals.
+ * @throws {Error} If the units measure different kinds, for example mass and volume.
+ */
+export const convert = (quantity, from, to) => {
+  if (!isConvertible(from, to)) {
+    throw new Error(`Can not convert ${from} to ${to}.`)
+  }
+
+  return Math.round(quantity * definitions[from].factor / definitions[to].factor * 1e6) / 1e6
+}